@@ -0,0 +1,348 @@
+// CALIBRATION
+//
+// Guided per-user calibration for the eye, mouth and fist thresholds.
+// The user is asked to hold a few poses, we record the measured ratios for
+// each one and derive thresholds that sit between them. Profiles are saved
+// in localStorage so they can be reloaded on the next visit.
+
+// The default thresholds and the active profile they're read from
+// (DEFAULT_CALIBRATION, activeCalibration) are in detection.js
+
+// localStorage keys
+const CALIBRATION_STORAGE_KEY = 'calibrationProfiles';
+const ACTIVE_CALIBRATION_STORAGE_KEY = 'activeCalibrationProfile';
+
+// Each step asks the user to hold a pose while we sample the measurements.
+// The instruction shows during the countdown, so a step the user can't watch
+// (eyes closed) explains itself before sampling starts
+const CALIBRATION_STEPS = [
+    { id: 'eyesOpen', instruction: 'Look at the camera, eyes open, mouth closed', needs: 'face' },
+    { id: 'eyesClosed', instruction: 'When the countdown ends, close both eyes and slowly count to 3', countdown: 'Close your eyes in', needs: 'face' },
+    { id: 'mouthOpen', instruction: 'Open your mouth wide', needs: 'face' },
+    { id: 'fist', instruction: 'Make a fist facing the camera', needs: 'hand' },
+    { id: 'handOpen', instruction: 'Open your hand, fingers spread', needs: 'hand' }
+];
+
+const CALIBRATION_PREP_TIME = 3000;   // Countdown before each step starts sampling (ms)
+const CALIBRATION_SAMPLE_TIME = 2000; // How long each step samples for (ms) - keep under a slow count to 3
+
+// Current calibration run, null when not calibrating
+let calibrationState = null;
+
+// CALIBRATION FLOW
+
+function startCalibration() {
+    calibrationState = {
+        stepIndex: 0,
+        phase: 'prep',
+        phaseStart: millis(),
+        samples: [],
+        measurements: {}
+    };
+    updateCalibrationStatus("Calibrating... follow the instructions on screen");
+}
+
+function cancelCalibration() {
+    calibrationState = null;
+    updateCalibrationStatus("Calibration cancelled");
+}
+
+function isCalibrating() {
+    return calibrationState !== null;
+}
+
+// Called every frame from draw() while calibrating
+function updateCalibration() {
+    if (!calibrationState) return;
+    
+    let step = CALIBRATION_STEPS[calibrationState.stepIndex];
+    let elapsed = millis() - calibrationState.phaseStart;
+    
+    if (calibrationState.phase === 'prep') {
+        if (elapsed >= CALIBRATION_PREP_TIME) {
+            calibrationState.phase = 'sampling';
+            calibrationState.phaseStart = millis();
+            calibrationState.samples = [];
+        }
+        return;
+    }
+    
+    // Sampling phase - record one measurement per frame
+    let sample = measureCalibrationSample(step);
+    if (sample) {
+        calibrationState.samples.push(sample);
+    }
+    
+    if (elapsed >= CALIBRATION_SAMPLE_TIME) {
+        if (calibrationState.samples.length === 0) {
+            // Nothing detected - restart this step
+            calibrationState.phase = 'prep';
+            calibrationState.phaseStart = millis();
+            updateCalibrationStatus(`No ${step.needs} detected, retrying step ${calibrationState.stepIndex + 1}`);
+            return;
+        }
+        
+        calibrationState.measurements[step.id] = summarizeCalibrationSamples(calibrationState.samples);
+        calibrationState.stepIndex++;
+        
+        if (calibrationState.stepIndex >= CALIBRATION_STEPS.length) {
+            finishCalibration();
+        } else {
+            calibrationState.phase = 'prep';
+            calibrationState.phaseStart = millis();
+        }
+    }
+}
+
+// Take the raw ratios the detection helpers use for the current step
+function measureCalibrationSample(step) {
+    if (step.needs === 'face') {
+        if (faces.length === 0) return null;
+        let leftEye = getEyeAspectRatio(faces[0], FACE_STATE_LANDMARKS.leftEye);
+        let rightEye = getEyeAspectRatio(faces[0], FACE_STATE_LANDMARKS.rightEye);
+        let mouth = getMouthAspectRatio(faces[0]);
+        if (leftEye === null || rightEye === null || mouth === null) return null;
+        return { eyeRatio: (leftEye + rightEye) / 2, mouthRatio: mouth };
+    }
+    
+    if (step.needs === 'hand') {
+        if (hands.length === 0) return null;
+        let fingerRatio = getAverageFingertipRatio(hands[0]);
+        if (fingerRatio === null) return null;
+        return { fingerRatio: fingerRatio };
+    }
+    
+    return null;
+}
+
+// Median of each measured value - robust against the odd bad frame
+function summarizeCalibrationSamples(samples) {
+    let summary = {};
+    for (let key of Object.keys(samples[0])) {
+        let values = samples.map(sample => sample[key]).sort((a, b) => a - b);
+        summary[key] = values[Math.floor(values.length / 2)];
+    }
+    return summary;
+}
+
+function finishCalibration() {
+    let profile = deriveCalibrationProfile(calibrationState.measurements);
+    calibrationState = null;
+    
+    if (!profile) {
+        updateCalibrationStatus("Calibration failed - open and closed poses were too similar. Try again.");
+        return;
+    }
+    
+    let nameInput = document.getElementById('calibrationName');
+    profile.name = (nameInput && nameInput.value.trim()) || 'My Profile';
+    // The default profile can't be overwritten
+    if (profile.name === DEFAULT_CALIBRATION.name) profile.name = 'My Profile';
+    
+    if (saveCalibrationProfile(profile)) {
+        setActiveCalibration(profile.name);
+        updateCalibrationStatus(`Calibration saved as "${profile.name}"`);
+    } else {
+        // Still use it for this visit
+        setActiveCalibration(profile.name, profile);
+        refreshCalibrationProfileList();
+        updateCalibrationStatus(`Couldn't save "${profile.name}" - it will be used until the page is reloaded`);
+    }
+}
+
+// Place each threshold between the measured open and closed values
+function deriveCalibrationProfile(measurements) {
+    let eyesOpen = measurements.eyesOpen;
+    let eyesClosed = measurements.eyesClosed;
+    let mouthOpen = measurements.mouthOpen;
+    let fist = measurements.fist;
+    let handOpen = measurements.handOpen;
+    
+    if (!eyesOpen || !eyesClosed || !mouthOpen || !fist || !handOpen) return null;
+    
+    // Open and closed must be clearly different or the threshold is meaningless
+    if (eyesOpen.eyeRatio <= eyesClosed.eyeRatio * 1.2) return null;
+    if (mouthOpen.mouthRatio <= eyesOpen.mouthRatio + 0.02) return null;
+    if (handOpen.fingerRatio <= fist.fingerRatio * 1.2) return null;
+    
+    return {
+        eyeOpenRatio: (eyesOpen.eyeRatio + eyesClosed.eyeRatio) / 2,
+        eyeClosedRatio: eyesClosed.eyeRatio,
+        eyeWideRatio: eyesOpen.eyeRatio,
+        // Mouth counts as open well before it's fully wide
+        mouthOpenRatio: eyesOpen.mouthRatio + (mouthOpen.mouthRatio - eyesOpen.mouthRatio) * 0.3,
+        mouthClosedRatio: eyesOpen.mouthRatio,
+        mouthWideRatio: mouthOpen.mouthRatio,
+        fistRatio: (fist.fingerRatio + handOpen.fingerRatio) / 2
+    };
+}
+
+// Draw the current instruction and countdown over the canvas
+function drawCalibrationOverlay() {
+    if (!calibrationState) return;
+    
+    let step = CALIBRATION_STEPS[calibrationState.stepIndex];
+    let elapsed = millis() - calibrationState.phaseStart;
+    
+    push();
+    fill(0, 0, 0, 180);
+    noStroke();
+    rect(0, height - 110, width, 110);
+    
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textStyle(BOLD);
+    textSize(22);
+    text(`Step ${calibrationState.stepIndex + 1}/${CALIBRATION_STEPS.length}: ${step.instruction}`, width / 2, height - 75);
+    
+    textSize(18);
+    textStyle(NORMAL);
+    if (calibrationState.phase === 'prep') {
+        let secondsLeft = Math.ceil((CALIBRATION_PREP_TIME - elapsed) / 1000);
+        text(`${step.countdown || 'Get ready...'} ${secondsLeft}`, width / 2, height - 40);
+    } else {
+        // Progress bar while sampling
+        let progress = constrain(elapsed / CALIBRATION_SAMPLE_TIME, 0, 1);
+        fill(255, 20, 147);
+        rect(width / 2 - 100, height - 45, 200 * progress, 10);
+        noFill();
+        stroke(255);
+        rect(width / 2 - 100, height - 45, 200, 10);
+    }
+    pop();
+}
+
+// PROFILE STORAGE
+
+function loadCalibrationProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error("Error reading calibration profiles:", error);
+        return {};
+    }
+}
+
+// Returns false if the browser wouldn't store them (storage full or disabled)
+function storeCalibrationProfiles(profiles) {
+    try {
+        localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profiles));
+        return true;
+    } catch (error) {
+        console.error("Error saving calibration profiles:", error);
+        return false;
+    }
+}
+
+function saveCalibrationProfile(profile) {
+    let profiles = loadCalibrationProfiles();
+    profiles[profile.name] = profile;
+    if (!storeCalibrationProfiles(profiles)) return false;
+    refreshCalibrationProfileList();
+    return true;
+}
+
+function deleteCalibrationProfile(name) {
+    let profiles = loadCalibrationProfiles();
+    delete profiles[name];
+    if (!storeCalibrationProfiles(profiles)) return false;
+    if (activeCalibration.name === name) {
+        setActiveCalibration(DEFAULT_CALIBRATION.name);
+    }
+    refreshCalibrationProfileList();
+    return true;
+}
+
+function loadActiveCalibrationName() {
+    try {
+        return localStorage.getItem(ACTIVE_CALIBRATION_STORAGE_KEY) || DEFAULT_CALIBRATION.name;
+    } catch (error) {
+        console.error("Error reading active calibration profile:", error);
+        return DEFAULT_CALIBRATION.name;
+    }
+}
+
+// Switch every detection helper over to the named profile
+// (pass the profile itself for one that couldn't be saved)
+function setActiveCalibration(name, profile = loadCalibrationProfiles()[name]) {
+    // Fill in any thresholds missing from older profiles with the defaults
+    activeCalibration = Object.assign({}, DEFAULT_CALIBRATION, profile || {});
+    try {
+        localStorage.setItem(ACTIVE_CALIBRATION_STORAGE_KEY, activeCalibration.name);
+    } catch (error) {
+        // Only means the choice isn't remembered next visit
+        console.error("Error saving active calibration profile:", error);
+    }
+    
+    let select = document.getElementById('calibrationProfile');
+    if (select) select.value = activeCalibration.name;
+    console.log("Active calibration:", activeCalibration);
+}
+
+// CALIBRATION CONTROLS
+
+function setupCalibrationControls() {
+    refreshCalibrationProfileList();
+    setActiveCalibration(loadActiveCalibrationName());
+    
+    let startButton = document.getElementById('calibrationStart');
+    if (startButton) {
+        startButton.addEventListener('click', function() {
+            if (isCalibrating()) {
+                cancelCalibration();
+            } else {
+                startCalibration();
+            }
+            this.textContent = isCalibrating() ? 'Cancel Calibration' : 'Start Calibration';
+        });
+    }
+    
+    let profileSelect = document.getElementById('calibrationProfile');
+    if (profileSelect) {
+        profileSelect.addEventListener('change', function() {
+            setActiveCalibration(this.value);
+            updateCalibrationStatus(`Using "${this.value}" profile`);
+        });
+    }
+    
+    let deleteButton = document.getElementById('calibrationDelete');
+    if (deleteButton) {
+        deleteButton.addEventListener('click', function() {
+            if (activeCalibration.name === DEFAULT_CALIBRATION.name) return;
+            let name = activeCalibration.name;
+            if (deleteCalibrationProfile(name)) {
+                updateCalibrationStatus(`Deleted "${name}"`);
+            } else {
+                updateCalibrationStatus(`Couldn't delete "${name}" - browser storage isn't available`);
+            }
+        });
+    }
+}
+
+function refreshCalibrationProfileList() {
+    let select = document.getElementById('calibrationProfile');
+    if (!select) return;
+    
+    let names = [DEFAULT_CALIBRATION.name].concat(
+        Object.keys(loadCalibrationProfiles()).filter(name => name !== DEFAULT_CALIBRATION.name)
+    );
+    // An active profile that couldn't be saved
+    if (!names.includes(activeCalibration.name)) names.push(activeCalibration.name);
+    select.innerHTML = '';
+    for (let name of names) {
+        let option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = activeCalibration.name;
+}
+
+function updateCalibrationStatus(message) {
+    let status = document.getElementById('calibrationStatus');
+    if (status) status.textContent = message;
+    
+    // Reset the start button once a run ends
+    let startButton = document.getElementById('calibrationStart');
+    if (startButton) startButton.textContent = isCalibrating() ? 'Cancel Calibration' : 'Start Calibration';
+}
@@ -0,0 +1,268 @@
+// DETECTION HELPERS
+//
+// The face and hand measurements everything else is built on: eye and mouth
+// openness, fists, wrists and fingertips. They only do arithmetic on the
+// landmarks they're given - no p5 and no camera - so the same file runs in
+// the browser and in Node, where the tests in test/ check them against the
+// landmark fixtures in test/fixtures/.
+//
+// In the sketch, helpers that aren't given a face or hands use the tracked
+// ones (faces[0], hands). In Node there are none, so always pass them in.
+
+// Default thresholds - used until a calibration profile is loaded (see calibration.js)
+// All values are ratios, so they don't change with camera distance
+const DEFAULT_CALIBRATION = {
+    name: 'Default',
+    eyeOpenRatio: 0.2,     // Eye aspect ratio above this = eye open
+    eyeClosedRatio: 0.1,   // Eye aspect ratio that reads as fully closed (openness 0)
+    eyeWideRatio: 0.3,     // Eye aspect ratio that reads as fully open (openness 1)
+    mouthOpenRatio: 0.07,  // Lip gap / face width above this = mouth open
+    mouthClosedRatio: 0,   // Lip gap / face width that reads as fully closed (openness 0)
+    mouthWideRatio: 0.25,  // Lip gap / face width that reads as fully open (openness 1)
+    fistRatio: 1.3         // Average fingertip-to-wrist / palm size below this = fist
+};
+
+// The profile every detection helper reads its thresholds from
+let activeCalibration = Object.assign({}, DEFAULT_CALIBRATION);
+
+// Landmarks used to measure eye and mouth openness relative to the face size,
+// so the same thresholds work at any distance from the camera
+const FACE_STATE_LANDMARKS = {
+    faceLeft: 234,   // Left edge of face (cheek contour)
+    faceRight: 454,  // Right edge of face (cheek contour)
+    upperLip: 13,    // Upper lip center
+    lowerLip: 14,    // Lower lip center
+    // Left eye (subject's left = viewer's right)
+    leftEye: { outer: 33, inner: 133, upper: [160, 159, 158], lower: [144, 145, 153] },
+    // Right eye (subject's right = viewer's left)
+    rightEye: { outer: 263, inner: 362, upper: [387, 386, 385], lower: [373, 374, 380] }
+};
+
+// Thumb, index, middle, ring and pinky tips
+const FINGERTIP_LANDMARKS = [4, 8, 12, 16, 20];
+
+// The sketch's tracked faces and hands (sketch.js), or none outside the browser
+function getTrackedFaces() {
+    return typeof faces !== 'undefined' ? faces : [];
+}
+
+function getTrackedHands() {
+    return typeof hands !== 'undefined' ? hands : [];
+}
+
+// Where value sits between start (0) and end (1), kept within 0-1
+function getRangeAmount(value, start, end) {
+    if (end === start) return value >= end ? 1 : 0;
+    return Math.min(Math.max((value - start) / (end - start), 0), 1);
+}
+
+// Get distance between two landmarks
+function getLandmarkDistance(landmark1, landmark2) {
+    if (landmark1 && landmark2) {
+        return Math.hypot(landmark2.x - landmark1.x, landmark2.y - landmark1.y);
+    }
+    return 0;
+}
+
+// FACE STATE DETECTION
+
+// Face width in pixels, used to scale every other face measurement
+function getFaceWidth(face) {
+    if (!face || !face.keypoints) return 0;
+    return getLandmarkDistance(face.keypoints[FACE_STATE_LANDMARKS.faceLeft],
+                               face.keypoints[FACE_STATE_LANDMARKS.faceRight]);
+}
+
+// Eye aspect ratio: average eyelid gap divided by eye width
+// Returns null if the eye landmarks aren't available
+function getEyeAspectRatio(face, eyeLandmarks) {
+    if (!face || !face.keypoints || face.keypoints.length < 478) return null;
+    let points = face.keypoints;
+    
+    let eyeWidth = getLandmarkDistance(points[eyeLandmarks.outer], points[eyeLandmarks.inner]);
+    if (eyeWidth === 0) return null;
+    
+    let totalGap = 0;
+    for (let i = 0; i < eyeLandmarks.upper.length; i++) {
+        totalGap += getLandmarkDistance(points[eyeLandmarks.upper[i]], points[eyeLandmarks.lower[i]]);
+    }
+    return (totalGap / eyeLandmarks.upper.length) / eyeWidth;
+}
+
+// Mouth aspect ratio: lip gap divided by face width
+// Returns null if the mouth landmarks aren't available
+function getMouthAspectRatio(face) {
+    if (!face || !face.keypoints || face.keypoints.length < 478) return null;
+    
+    let faceWidth = getFaceWidth(face);
+    if (faceWidth === 0) return null;
+    
+    let lipGap = getLandmarkDistance(face.keypoints[FACE_STATE_LANDMARKS.upperLip],
+                                     face.keypoints[FACE_STATE_LANDMARKS.lowerLip]);
+    return lipGap / faceWidth;
+}
+
+// Mouth state: { isOpen, openness (0-1), ratio }
+// Every face helper takes the face to check and defaults to the first face
+function getMouthState(face = getTrackedFaces()[0]) {
+    if (!face || !face.keypoints) return { isOpen: false, openness: 0, ratio: 0 };
+    
+    let ratio = getMouthAspectRatio(face);
+    if (ratio === null) return { isOpen: false, openness: 0, ratio: 0 };
+    
+    return {
+        isOpen: ratio > activeCalibration.mouthOpenRatio,
+        openness: getRangeAmount(ratio, activeCalibration.mouthClosedRatio, activeCalibration.mouthWideRatio),
+        ratio: ratio
+    };
+}
+
+// Eye state: { isOpen, openness (0-1), ratio }
+function getEyeState(face, eyeLandmarks) {
+    if (!face || !face.keypoints) return { isOpen: false, openness: 0, ratio: 0 };
+    
+    let ratio = getEyeAspectRatio(face, eyeLandmarks);
+    // Default to open if landmarks not available
+    if (ratio === null) return { isOpen: true, openness: 1, ratio: 0 };
+    
+    return {
+        isOpen: ratio > activeCalibration.eyeOpenRatio,
+        openness: getRangeAmount(ratio, activeCalibration.eyeClosedRatio, activeCalibration.eyeWideRatio),
+        ratio: ratio
+    };
+}
+
+function getLeftEyeState(face = getTrackedFaces()[0]) {
+    return getEyeState(face, FACE_STATE_LANDMARKS.leftEye);
+}
+
+function getRightEyeState(face = getTrackedFaces()[0]) {
+    return getEyeState(face, FACE_STATE_LANDMARKS.rightEye);
+}
+
+// Data extraction functions
+function isMouthOpen(face = getTrackedFaces()[0]) {
+    return getMouthState(face).isOpen;
+}
+
+function isLeftEyeOpen(face = getTrackedFaces()[0]) {
+    return getLeftEyeState(face).isOpen;
+}
+
+function isRightEyeOpen(face = getTrackedFaces()[0]) {
+    return getRightEyeState(face).isOpen;
+}
+
+function getNoseCenter(face = getTrackedFaces()[0]) {
+    if (!face || !face.keypoints) return null;
+    
+    // Face mesh nose tip is typically around index 1 or 2
+    if (face.keypoints.length > 2) {
+        return face.keypoints[1]; // Approximate nose tip
+    }
+    return null;
+}
+
+// HAND STATE DETECTION
+
+// Palm size: wrist to middle finger base, used to scale hand measurements
+function getPalmSize(hand) {
+    if (!hand || !hand.keypoints) return 0;
+    return getLandmarkDistance(hand.keypoints[0], hand.keypoints[9]);
+}
+
+// Fingertip-to-wrist distance divided by palm size, for one fingertip
+// Returns null if the hand landmarks aren't available
+function getFingertipRatio(hand, tipIndex) {
+    let palmSize = getPalmSize(hand);
+    if (palmSize === 0 || !hand.keypoints[tipIndex]) return null;
+    return getLandmarkDistance(hand.keypoints[0], hand.keypoints[tipIndex]) / palmSize;
+}
+
+// Average fingertip ratio across all five fingers - the one measure fist
+// detection, the handFist/handOpen signals and calibration all use
+function getAverageFingertipRatio(hand) {
+    let total = 0;
+    let count = 0;
+    for (let tipIndex of FINGERTIP_LANDMARKS) {
+        let ratio = getFingertipRatio(hand, tipIndex);
+        if (ratio !== null) {
+            total += ratio;
+            count++;
+        }
+    }
+    return count > 0 ? total / count : null;
+}
+
+// Check if hand is making a fist
+function isHandFist(hand) {
+    if (!hand || !hand.keypoints) return false;
+    
+    // Simple fist detection: check if the fingertips are close to the wrist,
+    // relative to the size of the palm
+    let ratio = getAverageFingertipRatio(hand);
+    return ratio !== null && ratio < activeCalibration.fistRatio;
+}
+
+// Wrist positions, fingertips and open status are returned in the same order as hands
+// (sorted by hand.id) - use getHandLabel(hands[i]) to label them
+function getWristPositions(handList = getTrackedHands()) {
+    let wrists = [];
+    for (let hand of handList) {
+        if (hand.keypoints && hand.keypoints[0]) {
+            wrists.push(hand.keypoints[0]); // Wrist is index 0
+        } else {
+            wrists.push(null);
+        }
+    }
+    return wrists;
+}
+
+function getHandsOpenStatus(handList = getTrackedHands()) {
+    let handsOpen = [];
+    for (let hand of handList) {
+        handsOpen.push(!isHandFist(hand)); // Inverse of fist detection
+    }
+    return handsOpen;
+}
+
+function getAllFingertipPositions(handList = getTrackedHands()) {
+    let allFingertips = [];
+    for (let hand of handList) {
+        if (hand.keypoints) {
+            allFingertips.push(FINGERTIP_LANDMARKS.map(tipIndex => hand.keypoints[tipIndex]));
+        } else {
+            allFingertips.push(null);
+        }
+    }
+    return allFingertips;
+}
+
+// Node loads this file with require() - in the browser it's a normal script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CALIBRATION,
+        activeCalibration,
+        FACE_STATE_LANDMARKS,
+        FINGERTIP_LANDMARKS,
+        getLandmarkDistance,
+        getFaceWidth,
+        getEyeAspectRatio,
+        getMouthAspectRatio,
+        getMouthState,
+        getEyeState,
+        getLeftEyeState,
+        getRightEyeState,
+        isMouthOpen,
+        isLeftEyeOpen,
+        isRightEyeOpen,
+        getNoseCenter,
+        getPalmSize,
+        getFingertipRatio,
+        getAverageFingertipRatio,
+        isHandFist,
+        getWristPositions,
+        getHandsOpenStatus,
+        getAllFingertipPositions
+    };
+}
@@ -0,0 +1,132 @@
+// EXPRESSIONS
+//
+// Blendshape-style expression coefficients worked out from the face mesh
+// geometry. Each one goes from 0 (neutral face) to 1 (full expression):
+// smile, frown, browRaise, browFurrow, cheekPuff, pucker, jawLeft, jawRight
+// and tongueOut.
+//
+// Measurements are taken in the face frame (see facePose.js), so they're in
+// units of a 200px wide face and don't change with distance or head tilt.
+// Every expression is also a face signal (isSignalActive('smile', face.id))
+// and a trigger rule condition.
+//
+// Smiles are measured from the upper lip, which the jaw doesn't move, so
+// opening the mouth doesn't read as a smile. A dropping jaw does pull the
+// mouth corners down, so frowns only count with the mouth closed.
+//
+// The mesh has no tongue landmarks, so tongueOut is an approximation: the
+// mouth is open and the lower lip looks much thicker than usual (the tongue
+// covering it).
+
+// neutral: measurement on a relaxed face, full: measurement at the full
+// expression - tune these if an expression is too eager or too hard to reach
+const EXPRESSIONS = {
+    smile: { label: 'Smile', neutral: 0, full: 10, measure: m => m.cornerLift },
+    frown: { label: 'Frown', neutral: 0, full: 8, measure: m => m.mouthOpen ? null : -m.cornerLift },
+    browRaise: { label: 'Brows raised', neutral: 18, full: 26, measure: m => m.browHeight },
+    browFurrow: { label: 'Brows furrowed', neutral: 30, full: 23, measure: m => m.browGap },
+    cheekPuff: { label: 'Cheeks puffed', neutral: 35, full: 25, measure: m => m.mouthOpen ? null : m.cheekDepth },
+    pucker: { label: 'Pucker / kiss', neutral: 72, full: 50, measure: m => m.mouthWidth },
+    jawLeft: { label: 'Jaw left', neutral: 0, full: 10, measure: m => -m.jawShift },
+    jawRight: { label: 'Jaw right', neutral: 0, full: 10, measure: m => m.jawShift },
+    tongueOut: { label: 'Tongue out (approx.)', neutral: 14, full: 24, measure: m => m.mouthOpen ? m.lowerLipThickness : null }
+};
+
+// Coefficient an expression has to pass to count as "on"
+const EXPRESSION_THRESHOLD = 0.5;
+
+// Landmarks the measurements use
+const EXPRESSION_LANDMARKS = {
+    upperLip: 13,
+    lowerLip: 14,
+    lowerLipOuter: 17,
+    mouthCorners: [61, 291],
+    eyelids: [159, 386],    // Top of each eye
+    brows: [52, 282],       // Middle of each brow, lower edge
+    innerBrows: [55, 285],
+    cheeks: [50, 280],
+    noseTip: 1,
+    noseBridge: 168,        // Between the eyes
+    chin: 152
+};
+
+// Coefficients are used by signals, filters and the data stream every frame,
+// so the measurements are cached per face object like the face pose. The
+// mouth state isn't - the same face object can be drawn for several frames
+// (with smoothing off) while the mouthOpen signal changes.
+let expressionCache = new WeakMap();
+
+// Raw measurements in face frame units, or null if the face can't be measured
+function getExpressionMeasurements(face) {
+    let pose = getFacePose(face);
+    if (!pose) return null;
+    
+    let points = face.keypoints;
+    let landmarks = EXPRESSION_LANDMARKS;
+    let local = index => toFaceLocal(pose, points[index]);
+    let average = values => values.reduce((total, value) => total + value, 0) / values.length;
+    
+    let upperLip = local(landmarks.upperLip);
+    let lowerLip = local(landmarks.lowerLip);
+    let corners = landmarks.mouthCorners.map(local);
+    
+    return {
+        // Mouth corners above the upper lip (y points down)
+        cornerLift: upperLip.y - average(corners.map(corner => corner.y)),
+        mouthWidth: getLandmarkDistance(corners[0], corners[1]),
+        // Gap between each brow and the top of its eye
+        browHeight: average(landmarks.brows.map((brow, i) => local(landmarks.eyelids[i]).y - local(brow).y)),
+        browGap: getLandmarkDistance(local(landmarks.innerBrows[0]), local(landmarks.innerBrows[1])),
+        // How far the cheeks sit behind the nose tip - puffing brings them forward
+        cheekDepth: average(landmarks.cheeks.map(index => (points[index].z || 0) - (points[landmarks.noseTip].z || 0))) / pose.scale,
+        // Chin sideways from the middle of the face
+        jawShift: local(landmarks.chin).x - local(landmarks.noseBridge).x,
+        lowerLipThickness: getLandmarkDistance(lowerLip, local(landmarks.lowerLipOuter))
+    };
+}
+
+// Every expression's coefficient (0-1) for the face, or null
+function getExpressions(face) {
+    if (!face || !face.keypoints || face.keypoints.length < 468) return null;
+    if (!expressionCache.has(face)) expressionCache.set(face, getExpressionMeasurements(face));
+    
+    let cached = expressionCache.get(face);
+    if (!cached) return null;
+    let measurements = Object.assign({ mouthOpen: isSignalActive('mouthOpen', face.id) }, cached);
+    
+    let coefficients = {};
+    for (let name of Object.keys(EXPRESSIONS)) {
+        let expression = EXPRESSIONS[name];
+        let value = expression.measure(measurements);
+        coefficients[name] = value === null ? 0 :
+            constrain(map(value, expression.neutral, expression.full, 0, 1), 0, 1);
+    }
+    return coefficients;
+}
+
+// One expression's coefficient (0-1), 0 if the face can't be measured
+function getExpression(face, name) {
+    let coefficients = getExpressions(face);
+    return coefficients ? coefficients[name] : 0;
+}
+
+// The strongest expression that's on: { name, label, value }, or null
+function getStrongestExpression(face) {
+    let coefficients = getExpressions(face);
+    if (!coefficients) return null;
+    
+    let best = null;
+    for (let name of Object.keys(coefficients)) {
+        if (isSignalActive(name, face.id) && (!best || coefficients[name] > best.value)) {
+            best = { name: name, label: EXPRESSIONS[name].label, value: coefficients[name] };
+        }
+    }
+    return best;
+}
+
+for (let name of Object.keys(EXPRESSIONS)) {
+    registerSignal('face', name, hysteresisAbove(() => EXPRESSION_THRESHOLD), face => {
+        let coefficients = getExpressions(face);
+        return coefficients ? coefficients[name] : null;
+    });
+}
@@ -0,0 +1,193 @@
+// EYE EVENTS
+//
+// Turns the leftEyeOpen / rightEyeOpen signals into eye events, so a normal
+// blink no longer looks like a wink:
+// - blink: both eyes close and reopen within BLINK_MAX_DURATION ms
+// - longClose: both eyes stay closed for longer than that
+// - wink: one eye closes for at least WINK_MIN_DURATION ms while the other stays open
+// - doubleBlink: a second blink within DOUBLE_BLINK_GAP ms of the first
+//
+// Events are reported when the eyes reopen, with how long they were closed.
+// Subscribe with onEyeEvent('blink', callback) - events look like
+// { type, id, eye: 'left' | 'right' | 'both', duration, timestamp }.
+// Every face keeps running counts and a blink rate (see getEyeEventStats).
+
+const EYE_EVENTS = {
+    blink: 'Blink',
+    doubleBlink: 'Double Blink',
+    longClose: 'Long Eye Close',
+    wink: 'Wink'
+};
+
+const BLINK_MAX_DURATION = 400;  // Longer than this with both eyes closed is a long close (ms)
+const WINK_MIN_DURATION = 300;   // One eye has to stay closed this long to be a wink (ms)
+const DOUBLE_BLINK_GAP = 600;    // Max time between the end of one blink and the start of the next (ms)
+const BLINK_RATE_WINDOW = 60000; // Blink rate is counted over the last minute (ms)
+const BLINK_RATE_MIN_TIME = 5000; // Don't report a blink rate until a face has been seen this long (ms)
+
+// How many recent eye events to keep for the data stream
+const EYE_EVENT_HISTORY_LENGTH = 8;
+
+// Per face id: the eyes' current closure and the face's counts
+let eyeEventStates = {};
+// Most recent eye events, newest first
+let eyeEventHistory = [];
+// Subscribers by event type ('*' gets every event)
+let eyeEventListeners = {};
+
+function onEyeEvent(type, callback) {
+    if (!eyeEventListeners[type]) eyeEventListeners[type] = [];
+    eyeEventListeners[type].push(callback);
+}
+
+function emitEyeEvent(event) {
+    eyeEventHistory.unshift(event);
+    eyeEventHistory.length = Math.min(eyeEventHistory.length, EYE_EVENT_HISTORY_LENGTH);
+    
+    let state = eyeEventStates[event.id];
+    if (state) {
+        state.counts[event.type]++;
+        state.lastEvent = event;
+    }
+    
+    let listeners = (eyeEventListeners[event.type] || []).concat(eyeEventListeners['*'] || []);
+    for (let callback of listeners) {
+        callback(event);
+    }
+}
+
+// When the face last had this eye event, or null
+function getLastEyeEventTime(type, id) {
+    let event = eyeEventHistory.find(e => e.type === type && (id === undefined || e.id === id));
+    return event ? event.timestamp : null;
+}
+
+function createEyeEventState(now) {
+    return {
+        firstSeen: now,
+        settled: false,        // New faces read as closed-eyed until the signals catch up
+        episodeStart: null,    // When the first eye closed, null while both are open
+        leftClosedAt: null,
+        rightClosedAt: null,
+        bothClosed: false,     // Were both eyes closed at the same time in this episode?
+        longestSingle: { eye: null, duration: 0 }, // Longest one-eyed close in this episode
+        lastBlinkEnd: null,
+        blinkTimes: [],
+        counts: { blink: 0, doubleBlink: 0, longClose: 0, wink: 0 },
+        lastEvent: null
+    };
+}
+
+// Called once per frame from draw(), after updateSignals()
+function updateEyeEvents() {
+    let now = millis();
+    let seenIds = new Set();
+    
+    for (let face of faces) {
+        seenIds.add(String(face.id));
+        if (!eyeEventStates[face.id]) eyeEventStates[face.id] = createEyeEventState(now);
+        let state = eyeEventStates[face.id];
+        
+        let leftClosed = !isSignalActive('leftEyeOpen', face.id);
+        let rightClosed = !isSignalActive('rightEyeOpen', face.id);
+        
+        // Wait until both eyes have been seen open so a new face doesn't start with a blink
+        if (!state.settled) {
+            if (leftClosed || rightClosed) continue;
+            state.settled = true;
+        }
+        
+        // When each eye closed, and how long one stayed closed on its own
+        updateEyeClosure(state, 'left', leftClosed, rightClosed, now);
+        updateEyeClosure(state, 'right', rightClosed, leftClosed, now);
+        
+        if ((leftClosed || rightClosed) && state.episodeStart === null) {
+            state.episodeStart = now;
+        }
+        if (leftClosed && rightClosed) {
+            state.bothClosed = true;
+        }
+        if (!leftClosed && !rightClosed && state.episodeStart !== null) {
+            finishEyeEpisode(face.id, state, now);
+        }
+        
+        // Only keep the last minute of blinks for the rate
+        while (state.blinkTimes.length > 0 && now - state.blinkTimes[0] > BLINK_RATE_WINDOW) {
+            state.blinkTimes.shift();
+        }
+    }
+    
+    // Forget faces that left the frame
+    for (let id of Object.keys(eyeEventStates)) {
+        if (!seenIds.has(id)) delete eyeEventStates[id];
+    }
+}
+
+function updateEyeClosure(state, eye, closed, otherClosed, now) {
+    let key = `${eye}ClosedAt`;
+    if (closed && state[key] === null) {
+        state[key] = now;
+    } else if (!closed && state[key] !== null) {
+        // Remember the longest time one eye was closed on its own
+        if (!otherClosed && !state.bothClosed) {
+            let duration = now - state[key];
+            if (duration > state.longestSingle.duration) state.longestSingle = { eye: eye, duration: duration };
+        }
+        state[key] = null;
+    }
+}
+
+// Both eyes are open again - work out what just happened
+function finishEyeEpisode(id, state, now) {
+    let duration = now - state.episodeStart;
+    
+    if (state.bothClosed) {
+        if (duration <= BLINK_MAX_DURATION) {
+            emitEyeEvent({ type: 'blink', id: id, eye: 'both', duration: duration, timestamp: now });
+            state.blinkTimes.push(now);
+            
+            if (state.lastBlinkEnd !== null && state.episodeStart - state.lastBlinkEnd <= DOUBLE_BLINK_GAP) {
+                emitEyeEvent({ type: 'doubleBlink', id: id, eye: 'both', duration: now - state.lastBlinkEnd, timestamp: now });
+                // A third quick blink starts a new pair rather than making another double
+                state.lastBlinkEnd = null;
+            } else {
+                state.lastBlinkEnd = now;
+            }
+        } else {
+            emitEyeEvent({ type: 'longClose', id: id, eye: 'both', duration: duration, timestamp: now });
+        }
+    } else if (state.longestSingle.duration >= WINK_MIN_DURATION) {
+        emitEyeEvent({ type: 'wink', id: id, eye: state.longestSingle.eye, duration: state.longestSingle.duration, timestamp: now });
+    }
+    // Anything shorter is one eye flickering closed - not counted
+    
+    state.episodeStart = null;
+    state.bothClosed = false;
+    state.longestSingle = { eye: null, duration: 0 };
+}
+
+// Is the face holding a wink right now? One eye closed for at least
+// WINK_MIN_DURATION ms while the other has stayed open
+function isWinking(face) {
+    let state = eyeEventStates[face.id];
+    if (!state || state.bothClosed) return false;
+    
+    let now = millis();
+    let closedAt = state.leftClosedAt !== null ? state.leftClosedAt : state.rightClosedAt;
+    let oneEyeClosed = (state.leftClosedAt === null) !== (state.rightClosedAt === null);
+    return oneEyeClosed && now - closedAt >= WINK_MIN_DURATION;
+}
+
+// Running counts and blink rate for a face:
+// { counts, blinksPerMinute (null until there's enough data), lastEvent }
+function getEyeEventStats(face) {
+    let state = face ? eyeEventStates[face.id] : null;
+    if (!state) return null;
+    
+    let trackedFor = Math.min(millis() - state.firstSeen, BLINK_RATE_WINDOW);
+    return {
+        counts: state.counts,
+        blinksPerMinute: trackedFor >= BLINK_RATE_MIN_TIME ? state.blinkTimes.length * 60000 / trackedFor : null,
+        lastEvent: state.lastEvent
+    };
+}
@@ -0,0 +1,134 @@
+// FACE POSE
+//
+// Works out a local coordinate frame for each face so overlays can be drawn
+// "on" the face instead of on the screen:
+// - center: between the cheeks, roughly at nose level
+// - scale: face width compared to a 200px reference face (uses the 3D
+//   distance, so turning the head doesn't shrink it)
+// - roll: head tilted towards a shoulder (radians, positive = clockwise on screen)
+// - yaw: head turned left/right (radians, positive = nose pointing to screen right)
+// - pitch: head tilted up/down (radians, positive = looking up)
+//
+// Draw between beginFaceFrame(face) and endFaceFrame() as if the face were
+// 200px wide, upright and facing the camera - the frame scales, rotates and
+// foreshortens everything to match the real head. Use toFaceLocal(pose, point)
+// to find landmarks inside the frame.
+
+// Overlays are designed for a face this wide (in pixels)
+const REFERENCE_FACE_WIDTH = 200;
+
+// Landmarks the frame is built from
+// Which side edge ends up on the left of the screen depends on whether the
+// video is mirrored, so the two edges are sorted out when measuring
+const FACE_POSE_LANDMARKS = {
+    sides: [234, 454], // Left and right edges of the face
+    top: 10,     // Top of the forehead
+    chin: 152,   // Bottom of the chin
+    nose: 1      // Nose tip
+};
+
+// Never squash an overlay below this fraction of its width/height, even
+// when the head is turned almost side-on
+const MIN_FORESHORTENING = 0.2;
+
+// Poses are used by several overlays per frame, so they are cached per face
+// object - faces are new objects every frame
+let facePoseCache = new WeakMap();
+
+function getDistance3D(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + ((a.z || 0) - (b.z || 0)) ** 2);
+}
+
+// The face's frame: { center, scale, roll, yaw, pitch, scaleX, scaleY }, or null
+function getFacePose(face) {
+    if (!face || !face.keypoints || face.keypoints.length < 455) return null;
+    if (facePoseCache.has(face)) return facePoseCache.get(face);
+    
+    let points = face.keypoints;
+    let top = points[FACE_POSE_LANDMARKS.top];
+    let chin = points[FACE_POSE_LANDMARKS.chin];
+    let nose = points[FACE_POSE_LANDMARKS.nose];
+    let [sideA, sideB] = FACE_POSE_LANDMARKS.sides.map(index => points[index]);
+    
+    let width3D = getDistance3D(sideA, sideB);
+    let height3D = getDistance3D(top, chin);
+    if (width3D === 0 || height3D === 0) return null;
+    
+    // Roll from the forehead-to-chin line, which points straight down on an upright face
+    let roll = Math.atan2(chin.y - top.y, chin.x - top.x) - Math.PI / 2;
+    
+    // The edge further along the face's x axis is the right one
+    let alongX = (sideB.x - sideA.x) * Math.cos(roll) + (sideB.y - sideA.y) * Math.sin(roll);
+    let left = alongX >= 0 ? sideA : sideB;
+    let right = alongX >= 0 ? sideB : sideA;
+    let yaw;
+    let pitch;
+    
+    if (left.z !== undefined && right.z !== undefined && top.z !== undefined && chin.z !== undefined) {
+        // Depth tells us which side of the face is further from the camera
+        yaw = Math.asin(constrain((right.z - left.z) / width3D, -1, 1));
+        pitch = Math.asin(constrain((top.z - chin.z) / height3D, -1, 1));
+    } else {
+        // No depth - estimate from where the nose sits between the face edges
+        let noseAlong = ((nose.x - left.x) * Math.cos(roll) + (nose.y - left.y) * Math.sin(roll)) / width3D;
+        yaw = Math.asin(constrain((noseAlong - 0.5) * 2, -1, 1));
+        pitch = 0;
+    }
+    
+    let scale = width3D / REFERENCE_FACE_WIDTH;
+    let pose = {
+        center: { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 },
+        scale: scale,
+        roll: roll,
+        yaw: yaw,
+        pitch: pitch,
+        // Turning shrinks the face sideways, nodding shrinks it vertically
+        scaleX: scale * Math.max(Math.cos(yaw), MIN_FORESHORTENING),
+        scaleY: scale * Math.max(Math.cos(pitch), MIN_FORESHORTENING)
+    };
+    
+    facePoseCache.set(face, pose);
+    return pose;
+}
+
+// Head orientation in degrees: { yaw, pitch, roll }, or null
+// Same directions as the pose: yaw + = nose to screen right, pitch + = looking up,
+// roll + = tilted clockwise on screen
+function getHeadAngles(face) {
+    let pose = getFacePose(face);
+    if (!pose) return null;
+    return {
+        yaw: degrees(pose.yaw),
+        pitch: degrees(pose.pitch),
+        roll: degrees(pose.roll)
+    };
+}
+
+// Screen point -> position inside the face frame
+function toFaceLocal(pose, point) {
+    let dx = point.x - pose.center.x;
+    let dy = point.y - pose.center.y;
+    let cosRoll = Math.cos(-pose.roll);
+    let sinRoll = Math.sin(-pose.roll);
+    return {
+        x: (dx * cosRoll - dy * sinRoll) / pose.scaleX,
+        y: (dx * sinRoll + dy * cosRoll) / pose.scaleY
+    };
+}
+
+// Start drawing in the face's frame - returns the pose, or null if the face
+// can't be measured (nothing is pushed then, so skip the drawing)
+function beginFaceFrame(face) {
+    let pose = getFacePose(face);
+    if (!pose) return null;
+    
+    push();
+    translate(pose.center.x, pose.center.y);
+    rotate(pose.roll);
+    scale(pose.scaleX, pose.scaleY);
+    return pose;
+}
+
+function endFaceFrame() {
+    pop();
+}
@@ -0,0 +1,106 @@
+// FACE TEXTURE
+//
+// Stretches an image over the whole face by cutting the face mesh into
+// triangles (the canonical MediaPipe tessellation) and giving every landmark a
+// fixed UV coordinate - a spot on a flat "unwrapped face" texture. Whatever is
+// painted at a landmark's UV spot in the texture ends up on that landmark, so
+// face paint, fur and masks follow the face as it moves, turns and talks.
+//
+// The triangles and UVs come from the Face Mesh model (faceMesh.getTriangles()
+// and faceMesh.getUVCoords()), so nothing works until it has loaded.
+// Textures are drawn on a WEBGL layer and then copied onto the 2D canvas:
+//
+// drawTexturedFace(face, textureImage, opacity);
+//
+// To paint your own texture, use getLandmarkUV(index) to find where a landmark
+// sits on the texture (0-1 across and down).
+
+// Size (in pixels) of the textures made by createFaceTexture()
+const FACE_TEXTURE_SIZE = 512;
+
+let faceMeshTriangles = null;
+let faceMeshUVs = null;
+let faceTextureLayer = null;
+
+// Triangles and UVs from the model - false until the model has loaded
+function loadFaceMeshTopology() {
+    if (faceMeshTriangles && faceMeshUVs) return true;
+    if (!faceMesh || typeof faceMesh.getTriangles !== 'function' || typeof faceMesh.getUVCoords !== 'function') {
+        return false;
+    }
+    
+    faceMeshTriangles = faceMesh.getTriangles();
+    faceMeshUVs = faceMesh.getUVCoords();
+    return true;
+}
+
+// Where a landmark sits on a face texture: { u, v } from 0 to 1, or null
+function getLandmarkUV(index) {
+    if (!loadFaceMeshTopology() || !faceMeshUVs[index]) return null;
+    let [u, v] = faceMeshUVs[index];
+    return { u: u, v: v };
+}
+
+// The WEBGL layer the faces are rendered on - kept the same size as the canvas
+function getFaceTextureLayer() {
+    if (!faceTextureLayer) {
+        faceTextureLayer = createGraphics(width, height, WEBGL);
+    } else if (faceTextureLayer.width !== width || faceTextureLayer.height !== height) {
+        faceTextureLayer.resizeCanvas(width, height);
+    }
+    return faceTextureLayer;
+}
+
+// Draw the texture over the face - returns false if the mesh isn't ready yet
+function drawTexturedFace(face, textureImage, opacity = 255) {
+    if (!face || !face.keypoints || !textureImage || !loadFaceMeshTopology()) return false;
+    
+    let points = face.keypoints;
+    let layer = getFaceTextureLayer();
+    layer.clear();
+    layer.push();
+    // WEBGL puts (0, 0) in the middle - move it back to the top left like the canvas
+    layer.translate(-width / 2, -height / 2);
+    layer.noStroke();
+    layer.textureMode(NORMAL);
+    layer.texture(textureImage);
+    layer.beginShape(TRIANGLES);
+    for (let triangle of faceMeshTriangles) {
+        if (triangle.some(index => !points[index] || !faceMeshUVs[index])) continue;
+        for (let index of triangle) {
+            layer.vertex(points[index].x, points[index].y, 0, faceMeshUVs[index][0], faceMeshUVs[index][1]);
+        }
+    }
+    layer.endShape();
+    layer.pop();
+    
+    push();
+    imageMode(CORNER);
+    tint(255, opacity);
+    image(layer, 0, 0, width, height);
+    noTint();
+    pop();
+    return true;
+}
+
+// A blank texture to paint on - call paint(graphics, uvPoint) where
+// uvPoint(index) gives a landmark's position in texture pixels
+function createFaceTexture(paint) {
+    let graphics = createGraphics(FACE_TEXTURE_SIZE, FACE_TEXTURE_SIZE);
+    graphics.clear();
+    paint(graphics, index => {
+        let uv = getLandmarkUV(index);
+        return uv ? { x: uv.u * FACE_TEXTURE_SIZE, y: uv.v * FACE_TEXTURE_SIZE } : { x: 0, y: 0 };
+    });
+    return graphics;
+}
+
+// Fill the outline through these landmarks on a texture
+function fillFaceTextureRegion(graphics, uvPoint, landmarks) {
+    graphics.beginShape();
+    for (let index of landmarks) {
+        let point = uvPoint(index);
+        graphics.vertex(point.x, point.y);
+    }
+    graphics.endShape(CLOSE);
+}
@@ -0,0 +1,258 @@
+// FILTER REGISTRY
+//
+// Every effect (cat ears, fire breath, WOW text...) is a self-contained filter
+// module in the filters/ folder. To add a new one, create a file there that
+// calls registerFilter() and add a <script> tag for it in index.html - the
+// trigger rules, the rule editor and the Filter Settings panel all pick it up.
+//
+// registerFilter({
+//     name: 'sunglasses',          // Id used by rules and saved settings
+//     label: 'Sunglasses',         // Shown in the control panel
+//     scope: 'face',               // 'face' = drawn once per face, 'scene' = once per frame
+//     requires: ['face'],          // Models it needs: 'face' and/or 'hand' - loaded when its rule is on
+//     trigger: [],                 // Default rule conditions (see rules.js), [] = always on
+//     params: {                    // Settings shown in the Filter Settings panel
+//         color: { label: 'Color', type: 'color', default: '#000000' },
+//         size: { label: 'Size', type: 'range', default: 1, min: 0.5, max: 2, step: 0.1 }
+//     },
+//     setup(params) {},            // Once, from setup() - load images here
+//     draw(face, slot, activeTime, params) {}, // Every frame its rule is active
+//     update(params) {},           // Every frame whether triggered or not
+//     reset() {}                   // When its rule is switched off
+// });
+//
+// Parameter types: 'range' (min/max/step), 'color', 'text', 'checkbox' and
+// 'select' (options: { value: 'Label', ... }).
+// Overlays that sit on the face should draw between beginFaceFrame(face) and
+// endFaceFrame() so they follow the head (see facePose.js).
+
+const FILTER_PARAMS_STORAGE_KEY = 'filterParams';
+
+// Vertical spacing between the face slots of filters drawn in a screen corner
+// rather than on the face, so rows from different filters line up
+const FACE_SLOT_SPACING = 140;
+
+// Registered filters by name, in registration order
+let filterRegistry = {};
+// Current parameter values by filter name
+let filterParams = {};
+
+function registerFilter(filter) {
+    if (!filter.name || typeof filter.draw !== 'function') {
+        console.error("Filters need a name and a draw function:", filter);
+        return;
+    }
+    
+    filterRegistry[filter.name] = Object.assign({
+        label: filter.name,
+        scope: 'face',
+        requires: ['face'],
+        trigger: [],
+        params: {}
+    }, filter);
+    filterParams[filter.name] = getDefaultFilterParams(filter.name);
+}
+
+function getFilter(name) {
+    return filterRegistry[name] || null;
+}
+
+function getDefaultFilterParams(name) {
+    let params = {};
+    let definitions = filterRegistry[name].params;
+    for (let key of Object.keys(definitions)) {
+        params[key] = definitions[key].default;
+    }
+    return params;
+}
+
+function getFilterParams(name) {
+    return filterParams[name] || {};
+}
+
+// With save = false the value applies without being stored - sliders and text
+// fields do that on every input event and only save on change
+function setFilterParam(name, key, value, save = true) {
+    if (!filterParams[name]) return;
+    filterParams[name][key] = value;
+    if (save) saveFilterParams();
+}
+
+// Are there results from every model the filter needs?
+function filterRequirementsMet(filter) {
+    if (filter.requires.includes('face') && faces.length === 0) return false;
+    if (filter.requires.includes('hand') && hands.length === 0) return false;
+    return true;
+}
+
+// FILTER HOOKS
+
+// Called once from setup()
+function setupFilters() {
+    loadFilterParams();
+    for (let name of Object.keys(filterRegistry)) {
+        let filter = filterRegistry[name];
+        if (filter.setup) filter.setup(getFilterParams(name));
+    }
+}
+
+// Filters registered once the controls are already up (the sprite filters load
+// in the background) - set them up and add them to the rules and the panels
+function setupNewFilters(names) {
+    if (names.length === 0) return;
+    loadFilterParams(names);
+    for (let name of names) {
+        let filter = filterRegistry[name];
+        if (filter.setup) filter.setup(getFilterParams(name));
+    }
+    addRulesForNewFilters(names);
+    setupFilterControls();
+}
+
+// Called every frame from draw(), after the trigger rules
+function updateFilters() {
+    for (let name of Object.keys(filterRegistry)) {
+        let filter = filterRegistry[name];
+        if (filter.update) filter.update(getFilterParams(name));
+    }
+}
+
+function resetFilter(name) {
+    let filter = getFilter(name);
+    if (filter && filter.reset) filter.reset();
+}
+
+// SETTINGS STORAGE
+
+// Saved values override the defaults - settings that no longer exist are dropped
+function loadFilterParams(names = Object.keys(filterRegistry)) {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(FILTER_PARAMS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error("Error reading filter settings:", error);
+    }
+    
+    for (let name of names) {
+        let params = getDefaultFilterParams(name);
+        for (let key of Object.keys(params)) {
+            if (saved[name] && saved[name][key] !== undefined) params[key] = saved[name][key];
+        }
+        filterParams[name] = params;
+    }
+}
+
+function saveFilterParams() {
+    try {
+        localStorage.setItem(FILTER_PARAMS_STORAGE_KEY, JSON.stringify(filterParams));
+    } catch (error) {
+        // Storage full or disabled - the settings still apply until the page is reloaded
+        console.error("Error saving filter settings:", error);
+    }
+}
+
+// FILTER SETTINGS PANEL
+
+// One collapsible section per filter with a control for each parameter
+function setupFilterControls() {
+    let container = document.getElementById('filterSettings');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    for (let name of Object.keys(filterRegistry)) {
+        let filter = filterRegistry[name];
+        let paramKeys = Object.keys(filter.params);
+        if (paramKeys.length === 0) continue;
+        
+        let panel = document.createElement('details');
+        panel.className = 'filter-panel';
+        
+        let summary = document.createElement('summary');
+        summary.textContent = filter.label;
+        let requires = document.createElement('span');
+        requires.className = 'filter-requires';
+        requires.textContent = filter.requires.join(' + ');
+        summary.appendChild(requires);
+        panel.appendChild(summary);
+        
+        for (let key of paramKeys) {
+            panel.appendChild(createFilterParamField(name, key, filter.params[key]));
+        }
+        
+        let buttons = document.createElement('div');
+        buttons.className = 'button-row';
+        let resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset Settings';
+        resetButton.addEventListener('click', () => {
+            filterParams[name] = getDefaultFilterParams(name);
+            saveFilterParams();
+            setupFilterControls();
+        });
+        buttons.appendChild(resetButton);
+        panel.appendChild(buttons);
+        
+        container.appendChild(panel);
+    }
+}
+
+function createFilterParamField(name, key, definition) {
+    let field = document.createElement('label');
+    field.className = 'field';
+    
+    let label = document.createElement('span');
+    label.className = 'field-label';
+    label.textContent = definition.label || key;
+    field.appendChild(label);
+    
+    let value = getFilterParams(name)[key];
+    
+    if (definition.type === 'select') {
+        let select = document.createElement('select');
+        for (let option of Object.keys(definition.options)) {
+            let element = document.createElement('option');
+            element.value = option;
+            element.textContent = definition.options[option];
+            select.appendChild(element);
+        }
+        select.value = value;
+        select.addEventListener('change', function() {
+            setFilterParam(name, key, this.value);
+        });
+        field.appendChild(select);
+        return field;
+    }
+    
+    let input = document.createElement('input');
+    
+    if (definition.type === 'checkbox') {
+        input.type = 'checkbox';
+        input.checked = Boolean(value);
+        input.addEventListener('change', function() {
+            setFilterParam(name, key, this.checked);
+        });
+    } else if (definition.type === 'range') {
+        input.type = 'range';
+        input.min = definition.min;
+        input.max = definition.max;
+        input.step = definition.step || 1;
+        input.value = value;
+        input.addEventListener('input', function() {
+            setFilterParam(name, key, Number(this.value), false);
+        });
+        input.addEventListener('change', function() {
+            setFilterParam(name, key, Number(this.value));
+        });
+    } else {
+        input.type = definition.type === 'color' ? 'color' : 'text';
+        input.value = value;
+        input.addEventListener('input', function() {
+            setFilterParam(name, key, this.value, false);
+        });
+        input.addEventListener('change', function() {
+            setFilterParam(name, key, this.value);
+        });
+    }
+    
+    field.appendChild(input);
+    return field;
+}
@@ -0,0 +1,56 @@
+// CAT EARS
+// Pointy cat ears on top of the head, drawn in the face frame (see facePose.js)
+// so they scale, tilt and turn with the head
+
+registerFilter({
+    name: 'catEars',
+    label: 'Cat Ears',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [],
+    params: {
+        color: { label: 'Color', type: 'color', default: '#ffb6c1' },      // Light pink
+        innerColor: { label: 'Inner Color', type: 'color', default: '#ff69b4' }, // Hot pink
+        size: { label: 'Size', type: 'range', default: 1, min: 0.5, max: 2, step: 0.1 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        let topOfHead = face.keypoints ? face.keypoints[10] : null; // Top center of forehead
+        if (!topOfHead) return;
+        
+        let pose = beginFaceFrame(face);
+        if (!pose) return;
+        
+        // Sizes are for a 200px wide face - the frame scales them to the real one
+        let forehead = toFaceLocal(pose, topOfHead);
+        let earWidth = 40 * params.size;
+        let earHeight = 60 * params.size;
+        let earSpacing = 100; // Distance between the ear centers
+        let earBaseY = forehead.y + 5; // Just below the top of the forehead
+        
+        for (let side of [-1, 1]) {
+            let earX = forehead.x + side * earSpacing / 2;
+            
+            // Outer ear
+            fill(params.color);
+            stroke(params.innerColor);
+            strokeWeight(2);
+            triangle(
+                earX, earBaseY - earHeight,       // Top point
+                earX - earWidth / 2, earBaseY,    // Bottom left
+                earX + earWidth / 2, earBaseY     // Bottom right
+            );
+            
+            // Inner ear detail
+            fill(params.innerColor);
+            noStroke();
+            triangle(
+                earX, earBaseY - earHeight + 10,      // Top point
+                earX - earWidth / 3, earBaseY - 5,    // Bottom left
+                earX + earWidth / 3, earBaseY - 5     // Bottom right
+            );
+        }
+        
+        endFaceFrame();
+    }
+});
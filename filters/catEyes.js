@@ -0,0 +1,50 @@
+// CAT EYES
+// Slit pupils drawn over the real irises (see gaze.js), so they follow
+// wherever the eyes look - hidden while an eye is closed
+
+function drawCatEye(iris, roll, params) {
+    let size = iris.radius * 2 * params.size;
+    
+    push();
+    translate(iris.center.x, iris.center.y);
+    rotate(roll); // Keep the slit upright on the face when the head tilts
+    
+    // Colored iris with a dark rim
+    fill(params.color);
+    stroke(0);
+    strokeWeight(1);
+    ellipse(0, 0, size, size);
+    
+    // Vertical slit pupil
+    noStroke();
+    fill(0);
+    ellipse(0, 0, size * params.slit, size * 0.9);
+    
+    // Catchlight
+    fill(255, 220);
+    ellipse(-size * 0.2, -size * 0.2, size * 0.15, size * 0.15);
+    pop();
+}
+
+registerFilter({
+    name: 'catEyes',
+    label: 'Cat Eyes',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [],
+    params: {
+        color: { label: 'Iris Color', type: 'color', default: '#c8e632' },
+        size: { label: 'Size', type: 'range', default: 1, min: 0.6, max: 1.6, step: 0.1 },
+        slit: { label: 'Pupil Width', type: 'range', default: 0.25, min: 0.1, max: 0.8, step: 0.05 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        let pose = getFacePose(face);
+        let roll = pose ? pose.roll : 0;
+        
+        for (let eyeName of ['leftEye', 'rightEye']) {
+            let iris = getIrisState(face, eyeName);
+            if (iris) drawCatEye(iris, roll, params);
+        }
+    }
+});
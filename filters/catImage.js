@@ -0,0 +1,53 @@
+// CAT IMAGE
+// A cat picture with a caption next to the "WOW" text - one row per face
+
+let catImage;
+
+registerFilter({
+    name: 'catImage',
+    label: 'Cat Eye Trigger',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [{ type: 'wink' }],
+    params: {
+        caption: { label: 'Caption', type: 'text', default: 'Meow! 😸' },
+        size: { label: 'Size', type: 'range', default: 100, min: 50, max: 200 }
+    },
+    
+    setup() {
+        catImage = loadImage('https://placekitten.com/200/200', () => {
+            console.log("Cat image loaded successfully");
+        }, () => {
+            console.log("Failed to load cat image, using fallback");
+            // Create a simple cat shape as fallback
+            catImage = createGraphics(200, 200);
+            catImage.background(255);
+            catImage.fill(255, 165, 0); // Orange
+            catImage.ellipse(100, 100, 150, 120); // Cat face
+            catImage.fill(0);
+            catImage.ellipse(80, 80, 15, 15); // Left eye
+            catImage.ellipse(120, 80, 15, 15); // Right eye
+            catImage.triangle(100, 110, 90, 130, 110, 130); // Nose
+            catImage.triangle(70, 60, 60, 80, 80, 80); // Left ear
+            catImage.triangle(130, 60, 120, 80, 140, 80); // Right ear
+        });
+    },
+    
+    draw(face, slot, activeTime, params) {
+        if (!catImage) return;
+        
+        push();
+        imageMode(CORNER);
+        // Position cat image to the right of the "WOW" text
+        let slotY = slot * FACE_SLOT_SPACING;
+        image(catImage, 120, 20 + slotY, params.size, params.size);
+        
+        // Add a fun caption
+        fill(255, 20, 147); // Hot pink
+        textAlign(LEFT, TOP);
+        textSize(16);
+        textStyle(BOLD);
+        text(params.caption, 120, 30 + params.size + slotY);
+        pop();
+    }
+});
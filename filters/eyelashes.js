@@ -0,0 +1,64 @@
+// CARTOON EYELASHES
+// A fan of curved lashes above each eye, drawn in the face frame
+// (see facePose.js) so they scale, tilt and turn with the head
+
+// Draw one eye's lashes above its upper eyelid (in face frame coordinates)
+function drawLashFan(eyeUpper, params) {
+    let lashSpacing = 6; // Space between lashes
+    let startX = eyeUpper.x - (params.count - 1) * lashSpacing / 2;
+    let y = eyeUpper.y - 2; // Slightly above upper eyelid
+    
+    for (let i = 0; i < params.count; i++) {
+        let lashX = startX + (i * lashSpacing);
+        
+        // Curved eyelash effect
+        let curveAngle = params.count > 1 ? map(i, 0, params.count - 1, -0.3, 0.3) : 0; // Curved arrangement
+        let endX = lashX + sin(curveAngle) * params.length;
+        let endY = y - cos(curveAngle) * params.length;
+        
+        // Draw individual lash
+        line(lashX, y, endX, endY);
+    }
+    
+    // Add some extra long lashes for cartoon effect
+    strokeWeight(1.5);
+    let extraLength = params.length * 1.5;
+    line(eyeUpper.x - 8, eyeUpper.y - 3, eyeUpper.x - 8, eyeUpper.y - 3 - extraLength); // Long outer lash
+    line(eyeUpper.x + 8, eyeUpper.y - 3, eyeUpper.x + 8, eyeUpper.y - 3 - extraLength); // Long inner lash
+}
+
+registerFilter({
+    name: 'eyelashes',
+    label: 'Cartoon Eyelashes',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [],
+    params: {
+        color: { label: 'Color', type: 'color', default: '#000000' },
+        length: { label: 'Length', type: 'range', default: 8, min: 4, max: 20 },
+        count: { label: 'Lashes', type: 'range', default: 5, min: 2, max: 10 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        if (!face.keypoints) return;
+        
+        // Upper eyelid landmarks for positioning
+        let leftEyeUpper = face.keypoints[159];
+        let rightEyeUpper = face.keypoints[386];
+        if (!leftEyeUpper || !rightEyeUpper) return;
+        
+        let pose = beginFaceFrame(face);
+        if (!pose) return;
+        
+        // Eyelash styling
+        stroke(params.color);
+        noFill();
+        
+        for (let eyeUpper of [leftEyeUpper, rightEyeUpper]) {
+            strokeWeight(2);
+            drawLashFan(toFaceLocal(pose, eyeUpper), params);
+        }
+        
+        endFaceFrame();
+    }
+});
@@ -0,0 +1,144 @@
+// FACE TEXTURE
+// Paints a texture over the whole face mesh (see faceTexture.js) - cat fur,
+// face paint, a masquerade mask or your own UV-mapped image
+
+// Outlines on the face mesh, as landmark indices
+const FACE_TEXTURE_REGIONS = {
+    faceOval: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+               152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109],
+    leftEye: [33, 246, 161, 160, 159, 158, 157, 173, 133, 155, 154, 153, 145, 144, 163, 7],
+    rightEye: [263, 466, 388, 387, 386, 385, 384, 398, 362, 382, 381, 380, 374, 373, 390, 249],
+    lips: [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291, 375, 321, 405, 314, 17, 84, 181, 91, 146],
+    mask: [127, 70, 63, 105, 66, 107, 9, 336, 296, 334, 293, 300, 356, 345, 6, 116]
+};
+
+// Built-in textures, painted once the face mesh UVs are known
+const FACE_TEXTURE_PAINTERS = {
+    catFur(graphics, uvPoint) {
+        graphics.noStroke();
+        graphics.fill(230, 140, 50);
+        fillFaceTextureRegion(graphics, uvPoint, FACE_TEXTURE_REGIONS.faceOval);
+        
+        // Tabby stripes across the forehead
+        let forehead = uvPoint(10);
+        let between = uvPoint(9);
+        graphics.stroke(150, 80, 20);
+        graphics.strokeWeight(FACE_TEXTURE_SIZE * 0.02);
+        for (let i = -2; i <= 2; i++) {
+            let x = forehead.x + i * FACE_TEXTURE_SIZE * 0.04;
+            graphics.line(x, forehead.y + FACE_TEXTURE_SIZE * 0.02, x + i * 4, between.y);
+        }
+        
+        // White muzzle and pink nose
+        graphics.noStroke();
+        graphics.fill(255, 245, 230);
+        let muzzle = uvPoint(164);
+        graphics.ellipse(muzzle.x, muzzle.y, FACE_TEXTURE_SIZE * 0.3, FACE_TEXTURE_SIZE * 0.2);
+        graphics.fill(255, 150, 170);
+        let nose = uvPoint(1);
+        graphics.triangle(nose.x - 14, nose.y - 8, nose.x + 14, nose.y - 8, nose.x, nose.y + 8);
+    },
+    
+    facePaint(graphics, uvPoint) {
+        graphics.noStroke();
+        // Rainbow stripes on both cheeks
+        let stripes = ['#ff4d4d', '#ffb84d', '#fff04d', '#4dff88', '#4db8ff', '#b84dff'];
+        for (let cheekIndex of [50, 280]) {
+            let cheek = uvPoint(cheekIndex);
+            stripes.forEach((stripe, i) => {
+                graphics.fill(stripe);
+                graphics.rect(cheek.x - 30, cheek.y - 24 + i * 8, 60, 8, 4);
+            });
+        }
+        
+        // Stars at the outer corners of the eyes
+        graphics.fill(255, 215, 0);
+        for (let cornerIndex of [130, 359]) {
+            let corner = uvPoint(cornerIndex);
+            graphics.beginShape();
+            for (let i = 0; i < 10; i++) {
+                let radius = i % 2 === 0 ? 18 : 8;
+                let angle = -HALF_PI + i * TWO_PI / 10;
+                graphics.vertex(corner.x + Math.cos(angle) * radius, corner.y + Math.sin(angle) * radius);
+            }
+            graphics.endShape(CLOSE);
+        }
+    },
+    
+    mask(graphics, uvPoint) {
+        graphics.noStroke();
+        graphics.fill(40, 20, 90);
+        fillFaceTextureRegion(graphics, uvPoint, FACE_TEXTURE_REGIONS.mask);
+        graphics.stroke(255, 215, 0);
+        graphics.strokeWeight(4);
+        graphics.noFill();
+        fillFaceTextureRegion(graphics, uvPoint, FACE_TEXTURE_REGIONS.mask);
+        
+        // Cut out the eyes so they show through
+        graphics.erase();
+        fillFaceTextureRegion(graphics, uvPoint, FACE_TEXTURE_REGIONS.leftEye);
+        fillFaceTextureRegion(graphics, uvPoint, FACE_TEXTURE_REGIONS.rightEye);
+        graphics.noErase();
+    }
+};
+
+const FACE_TEXTURE_URL_DELAY = 800; // How long the image URL has to stay the same before it's loaded (ms)
+
+let faceTextures = {};
+let customFaceTextureUrl = '';       // The URL the custom texture was last loaded from
+let typedFaceTextureUrl = '';        // The URL in the settings, loaded once it stops changing
+let typedFaceTextureUrlAt = 0;
+
+// The texture for the chosen style - built or loaded the first time it's used
+function getFaceTexture(params) {
+    if (params.style === 'custom') {
+        if (!params.imageUrl) return null;
+        if (params.imageUrl !== typedFaceTextureUrl) {
+            typedFaceTextureUrl = params.imageUrl;
+            typedFaceTextureUrlAt = millis();
+        }
+        // Wait for the typing to stop rather than loading every half-typed URL
+        if (typedFaceTextureUrl !== customFaceTextureUrl && millis() - typedFaceTextureUrlAt >= FACE_TEXTURE_URL_DELAY) {
+            loadCustomFaceTexture(typedFaceTextureUrl);
+        }
+        return faceTextures.custom || null;
+    }
+    
+    let painter = FACE_TEXTURE_PAINTERS[params.style];
+    if (!painter) return null;
+    if (!faceTextures[params.style] && getLandmarkUV(0)) {
+        faceTextures[params.style] = createFaceTexture(painter);
+    }
+    return faceTextures[params.style] || null;
+}
+
+// The last texture stays on until the new image has loaded, or for good if it fails
+function loadCustomFaceTexture(url) {
+    customFaceTextureUrl = url;
+    loadImage(url, img => {
+        // Only if it's still the newest URL
+        if (customFaceTextureUrl === url) faceTextures.custom = img;
+    }, () => console.warn("Couldn't load face texture:", url));
+}
+
+registerFilter({
+    name: 'faceTexture',
+    label: 'Face Texture',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [],
+    params: {
+        style: {
+            label: 'Style',
+            type: 'select',
+            default: 'catFur',
+            options: { catFur: 'Cat Fur', facePaint: 'Face Paint', mask: 'Masquerade Mask', custom: 'Image URL' }
+        },
+        imageUrl: { label: 'Image URL', type: 'text', default: '' },
+        opacity: { label: 'Opacity', type: 'range', default: 200, min: 0, max: 255 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        drawTexturedFace(face, getFaceTexture(params), params.opacity);
+    }
+});
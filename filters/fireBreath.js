@@ -0,0 +1,137 @@
+// FIRE BREATH
+// Shoots fire particles out of each face's mouth. Every face has its own
+// particles so fire stays with the right person, and the fire keeps
+// burning out after the rule stops.
+
+let fireParticles = {}; // Particles for each face, by face id
+
+registerFilter({
+    name: 'fireBreath',
+    label: 'Fire Breath',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [{ type: 'mouthOpen' }],
+    params: {
+        spawnRate: { label: 'Particles Per Frame', type: 'range', default: 8, min: 1, max: 20 },
+        maxParticles: { label: 'Max Per Face', type: 'range', default: 150, min: 20, max: 400, step: 10 }
+    },
+    
+    // Spawn fire from the mouth - called every frame the rule is active
+    draw(face, slot, activeTime, params) {
+        let mouthCenter = face.keypoints ? face.keypoints[14] : null; // Lower lip center
+        if (!mouthCenter) return;
+        
+        if (!fireParticles[face.id]) fireParticles[face.id] = [];
+        let particles = fireParticles[face.id];
+        
+        for (let i = 0; i < params.spawnRate; i++) {
+            if (particles.length < params.maxParticles) {
+                // Add some randomness around mouth position
+                let spawnX = mouthCenter.x + random(-15, 15);
+                let spawnY = mouthCenter.y + random(-10, 10);
+                
+                particles.push(new FireParticle(spawnX, spawnY));
+            }
+        }
+    },
+    
+    // Move and draw every face's particles, removing the dead ones
+    update() {
+        for (let faceId of Object.keys(fireParticles)) {
+            let particles = fireParticles[faceId];
+            
+            for (let i = particles.length - 1; i >= 0; i--) {
+                particles[i].update();
+                
+                // Remove dead particles
+                if (particles[i].isDead()) {
+                    particles.splice(i, 1);
+                } else {
+                    particles[i].draw();
+                }
+            }
+            
+            // Forget faces whose fire has burned out
+            if (particles.length === 0) {
+                delete fireParticles[faceId];
+            }
+        }
+    },
+    
+    reset() {
+        fireParticles = {};
+    }
+});
+
+// One particle of fire
+class FireParticle {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.vx = random(-2, 2); // Horizontal spread
+        this.vy = random(-8, -4); // Upward velocity for fire breath
+        this.life = 255;
+        this.maxLife = 255;
+        this.size = random(3, 12);
+        this.colorHue = random(0, 30); // Orange to red range
+        this.colorSaturation = random(80, 100);
+        this.colorBrightness = random(80, 100);
+        this.alpha = 255;
+        this.flickerSpeed = random(0.1, 0.3);
+        this.flickerPhase = random(0, TWO_PI);
+    }
+    
+    update() {
+        // Update position
+        this.x += this.vx;
+        this.y += this.vy;
+        
+        // Add some fire-like movement
+        this.x += sin(frameCount * 0.2 + this.y * 0.01) * 0.8;
+        this.y += cos(frameCount * 0.15 + this.x * 0.02) * 0.5;
+        
+        // Gravity effect (fire rises but eventually falls)
+        this.vy += 0.1;
+        
+        // Reduce life
+        this.life -= 3;
+        this.alpha = map(this.life, 0, this.maxLife, 0, 255);
+        
+        // Flicker effect
+        this.flickerPhase += this.flickerSpeed;
+        
+        // Color shift (fire cools as it rises)
+        this.colorHue += 0.5;
+        if (this.colorHue > 60) this.colorHue = 0;
+    }
+    
+    draw() {
+        if (this.life <= 0) return;
+        
+        push();
+        colorMode(HSB, 360, 100, 100, 255);
+        
+        // Flicker effect
+        let flicker = 0.7 + 0.3 * sin(this.flickerPhase);
+        let currentAlpha = this.alpha * flicker;
+        
+        // Draw main fire particle
+        fill(this.colorHue, this.colorSaturation, this.colorBrightness, currentAlpha);
+        noStroke();
+        ellipse(this.x, this.y, this.size, this.size);
+        
+        // Add fire glow effect
+        fill(this.colorHue, this.colorSaturation * 0.6, this.colorBrightness, currentAlpha * 0.4);
+        ellipse(this.x, this.y, this.size * 2, this.size * 2);
+        
+        // Add outer glow
+        fill(this.colorHue, this.colorSaturation * 0.3, this.colorBrightness, currentAlpha * 0.2);
+        ellipse(this.x, this.y, this.size * 3, this.size * 3);
+        
+        pop();
+    }
+    
+    isDead() {
+        return this.life <= 0;
+    }
+}
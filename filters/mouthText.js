@@ -0,0 +1,64 @@
+// MOUTH TEXT STREAM
+// Displays a quote word-by-word while the rule is active, starting from the
+// first word each time it triggers. Each face gets its own column.
+
+registerFilter({
+    name: 'mouthText',
+    label: 'Mouth Text Stream',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [{ type: 'mouthOpen' }],
+    params: {
+        // NOTE FOR USERS: Change this quote to whatever text you want to display
+        text: {
+            label: 'Text',
+            type: 'text',
+            default: "The apparatus of surveillance has become so normalized that we perform for invisible audiences, transforming every gesture into data, every glance into currency for algorithmic interpretation."
+        },
+        wordTime: { label: 'Ms Per Word', type: 'range', default: 200, min: 50, max: 1000, step: 10 },
+        color: { label: 'Color', type: 'color', default: '#ffff00' }, // Yellow text
+        size: { label: 'Size', type: 'range', default: 24, min: 12, max: 48 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        let words = params.text.split(' ').filter(word => word.length > 0);
+        if (words.length === 0) return;
+        
+        let wordIndex = Math.floor((activeTime % (words.length * params.wordTime)) / params.wordTime);
+        wordIndex = Math.min(wordIndex, words.length - 1);
+        
+        push();
+        fill(params.color);
+        stroke(0);
+        strokeWeight(2);
+        textAlign(CENTER, TOP);
+        textSize(params.size);
+        textStyle(NORMAL);
+        
+        // Each face gets its own column across the top of the canvas
+        let columnWidth = width / max(faces.length, 1);
+        let columnCenter = columnWidth * (slot + 0.5);
+        
+        // Word wrap for long text
+        let currentLine = '';
+        let lineHeight = params.size * 1.25;
+        let yPos = 50;
+        
+        for (let word of words.slice(0, wordIndex + 1)) {
+            let testLine = currentLine + word + ' ';
+            if (textWidth(testLine) > columnWidth - 40 && currentLine.length > 0) {
+                text(currentLine, columnCenter, yPos);
+                currentLine = word + ' ';
+                yPos += lineHeight;
+            } else {
+                currentLine = testLine;
+            }
+        }
+        
+        if (currentLine.length > 0) {
+            text(currentLine, columnCenter, yPos);
+        }
+        
+        pop();
+    }
+});
@@ -0,0 +1,91 @@
+// RED LIPS
+// Glossy lips that follow the mouth, get brighter the wider it opens and
+// plump up into a kiss when you pucker (see expressions.js). Drawn in the face
+// frame (see facePose.js) so they tilt and turn with the head
+
+registerFilter({
+    name: 'redLips',
+    label: 'Red Lips',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [],
+    params: {
+        color: { label: 'Color', type: 'color', default: '#dc1414' },
+        sparkle: { label: 'Sparkle When Open', type: 'checkbox', default: true },
+        pucker: { label: 'React to Pucker', type: 'checkbox', default: true }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        if (!face.keypoints) return;
+        
+        let pose = getFacePose(face);
+        if (!pose) return;
+        
+        // Lip landmarks, moved into the face frame
+        let upperLipCenter = toFaceLocal(pose, face.keypoints[13]); // Upper lip center
+        let lowerLipCenter = toFaceLocal(pose, face.keypoints[14]); // Lower lip center
+        let leftLipCorner = toFaceLocal(pose, face.keypoints[61]); // Left corner of mouth
+        let rightLipCorner = toFaceLocal(pose, face.keypoints[291]); // Right corner of mouth
+        
+        beginFaceFrame(face);
+        
+        // Check if mouth is open and by how much
+        let mouthState = getMouthState(face);
+        let mouthOpen = isSignalActive('mouthOpen', face.id);
+        let lipDistance = getLandmarkDistance(upperLipCenter, lowerLipCenter);
+        
+        // Lip styling
+        noStroke();
+        
+        // Calculate lip dimensions
+        let lipWidth = getLandmarkDistance(leftLipCorner, rightLipCorner);
+        let lipHeight = lipDistance + 5; // Add some padding
+        
+        // Puckered lips get fuller and rounder
+        let pucker = params.pucker ? getExpression(face, 'pucker') : 0;
+        lipHeight *= 1 + pucker;
+        
+        // Lip color - gets brighter the wider the mouth opens and pinker in a kiss
+        let baseColor = color(params.color);
+        let lipColor = lerpColor(baseColor, color(255, 40, 40), mouthState.openness * 0.5);
+        fill(lerpColor(lipColor, color(255, 0, 110), pucker * 0.4));
+        
+        // Draw upper lip (slightly curved)
+        let centerX = (leftLipCorner.x + rightLipCorner.x) / 2;
+        let centerY = (leftLipCorner.y + rightLipCorner.y) / 2;
+        
+        // Upper lip
+        let upperLipY = centerY - lipHeight / 2;
+        ellipse(centerX, upperLipY, lipWidth * 0.8, lipHeight * 0.4);
+        
+        // Lower lip (larger and more prominent)
+        let lowerLipY = centerY + lipHeight / 2;
+        ellipse(centerX, lowerLipY, lipWidth * 0.9, lipHeight * 0.6);
+        
+        // Add lip shine/gloss effect
+        fill(255, 255, 255, 100); // Semi-transparent white
+        ellipse(centerX - lipWidth * 0.1, upperLipY - lipHeight * 0.1, lipWidth * 0.2, lipHeight * 0.1);
+        ellipse(centerX + lipWidth * 0.1, lowerLipY - lipHeight * 0.1, lipWidth * 0.3, lipHeight * 0.15);
+        
+        // Add lip outline for definition (darker than the lip color)
+        stroke(lerpColor(baseColor, color(0), 0.2));
+        strokeWeight(1);
+        noFill();
+        
+        // Upper lip outline
+        ellipse(centerX, upperLipY, lipWidth * 0.8, lipHeight * 0.4);
+        
+        // Lower lip outline
+        ellipse(centerX, lowerLipY, lipWidth * 0.9, lipHeight * 0.6);
+        
+        // Add some sparkle effect when mouth is open
+        if (params.sparkle && mouthOpen) {
+            fill(255, 255, 255, 150);
+            noStroke();
+            ellipse(centerX + lipWidth * 0.2, upperLipY - lipHeight * 0.2, 3, 3);
+            ellipse(centerX - lipWidth * 0.15, lowerLipY + lipHeight * 0.1, 2, 2);
+        }
+        
+        endFaceFrame();
+    }
+});
@@ -0,0 +1,103 @@
+// SMILE HEARTS
+// Hearts float up from the corners of the mouth while you smile (see
+// expressions.js) - a bigger smile sends more of them. Like the fire breath,
+// every face has its own hearts and they keep floating after the smile ends.
+
+let heartParticles = {}; // Hearts for each face, by face id
+
+function drawHeart(x, y, size) {
+    beginShape();
+    vertex(x, y + size * 0.35);
+    bezierVertex(x - size * 0.6, y - size * 0.1, x - size * 0.3, y - size * 0.6, x, y - size * 0.25);
+    bezierVertex(x + size * 0.3, y - size * 0.6, x + size * 0.6, y - size * 0.1, x, y + size * 0.35);
+    endShape(CLOSE);
+}
+
+registerFilter({
+    name: 'smileHearts',
+    label: 'Smile Hearts',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [{ type: 'smile' }],
+    params: {
+        color: { label: 'Color', type: 'color', default: '#ff3c78' },
+        rate: { label: 'Hearts Per Second', type: 'range', default: 6, min: 1, max: 20 },
+        size: { label: 'Size', type: 'range', default: 18, min: 8, max: 40 }
+    },
+    
+    // Spawn hearts at the mouth corners - called every frame the rule is active
+    draw(face, slot, activeTime, params) {
+        if (!face.keypoints) return;
+        let corners = [face.keypoints[61], face.keypoints[291]].filter(corner => corner);
+        if (corners.length === 0) return;
+        
+        if (!heartParticles[face.id]) heartParticles[face.id] = [];
+        let particles = heartParticles[face.id];
+        
+        // Chance per frame works out to roughly params.rate hearts a second at 60fps,
+        // more for a bigger smile
+        let smile = getExpression(face, 'smile');
+        if (random() < params.rate * (0.5 + smile) / 60) {
+            let corner = random(corners);
+            particles.push(new HeartParticle(corner.x, corner.y, params.size * random(0.7, 1.3)));
+        }
+    },
+    
+    // Float and fade every face's hearts, removing the finished ones
+    update(params) {
+        for (let faceId of Object.keys(heartParticles)) {
+            let particles = heartParticles[faceId];
+            
+            for (let i = particles.length - 1; i >= 0; i--) {
+                particles[i].update();
+                if (particles[i].isDead()) {
+                    particles.splice(i, 1);
+                } else {
+                    particles[i].draw(params.color);
+                }
+            }
+            
+            if (particles.length === 0) {
+                delete heartParticles[faceId];
+            }
+        }
+    },
+    
+    reset() {
+        heartParticles = {};
+    }
+});
+
+// One floating heart
+class HeartParticle {
+    constructor(x, y, size) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.vx = random(-0.8, 0.8);
+        this.vy = random(-2.5, -1.2); // Hearts float upwards
+        this.life = 255;
+        this.swayPhase = random(0, TWO_PI);
+    }
+    
+    update() {
+        this.swayPhase += 0.08;
+        this.x += this.vx + sin(this.swayPhase) * 0.6;
+        this.y += this.vy;
+        this.life -= 3;
+    }
+    
+    draw(heartColor) {
+        push();
+        let fillColor = color(heartColor);
+        fillColor.setAlpha(this.life);
+        fill(fillColor);
+        noStroke();
+        drawHeart(this.x, this.y, this.size);
+        pop();
+    }
+    
+    isDead() {
+        return this.life <= 0;
+    }
+}
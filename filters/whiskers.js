@@ -0,0 +1,69 @@
+// BLACK WHISKERS
+// Whiskers fanning out from each cheek, drawn in the face frame
+// (see facePose.js) so they scale, tilt and turn with the head
+
+// Draw one side's whiskers (in face frame coordinates)
+// direction is -1 for the left cheek, 1 for the right
+function drawWhiskerFan(cheek, direction, params) {
+    let whiskerSpacing = 8; // Vertical space between whiskers
+    let startX = cheek.x + direction * 5; // Slightly outside the cheek
+    let startY = cheek.y - (params.count * whiskerSpacing) / 2;
+    
+    strokeWeight(1.5);
+    for (let i = 0; i < params.count; i++) {
+        let whiskerY = startY + (i * whiskerSpacing);
+        
+        // Slightly curved whisker pointing outward
+        let curveAngle = params.count > 1 ? map(i, 0, params.count - 1, -0.2, 0.2) : 0; // Gentle curve
+        let endX = startX + direction * cos(curveAngle) * params.length;
+        let endY = whiskerY + sin(curveAngle) * params.length;
+        
+        // Draw individual whisker
+        line(startX, whiskerY, endX, endY);
+    }
+    
+    // Add some shorter whiskers above the main ones
+    strokeWeight(1);
+    let shortStartX = startX + direction * 2;
+    let shortStartY = startY - 10;
+    
+    for (let i = 0; i < 2; i++) {
+        let shortWhiskerY = shortStartY + (i * 6);
+        let shortEndX = shortStartX + direction * params.length * 0.6;
+        let shortEndY = shortWhiskerY + random(-2, 2);
+        line(shortStartX, shortWhiskerY, shortEndX, shortEndY);
+    }
+}
+
+registerFilter({
+    name: 'whiskers',
+    label: 'Black Whiskers',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [],
+    params: {
+        color: { label: 'Color', type: 'color', default: '#000000' },
+        length: { label: 'Length', type: 'range', default: 25, min: 10, max: 60 },
+        count: { label: 'Whiskers', type: 'range', default: 4, min: 2, max: 8 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        if (!face.keypoints) return;
+        
+        // Cheek landmarks for whisker positioning
+        let leftCheek = face.keypoints[123];
+        let rightCheek = face.keypoints[352];
+        if (!leftCheek || !rightCheek) return;
+        
+        let pose = beginFaceFrame(face);
+        if (!pose) return;
+        
+        stroke(params.color);
+        noFill();
+        
+        drawWhiskerFan(toFaceLocal(pose, leftCheek), -1, params);
+        drawWhiskerFan(toFaceLocal(pose, rightCheek), 1, params);
+        
+        endFaceFrame();
+    }
+});
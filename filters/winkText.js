@@ -0,0 +1,32 @@
+// WINK TEXT
+// Big "WINK" text in the middle of the screen - one row per face
+
+const WINK_SLOT_SPACING = 80;
+
+registerFilter({
+    name: 'winkText',
+    label: 'Wink Detection',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [{ type: 'wink' }],
+    params: {
+        text: { label: 'Text', type: 'text', default: 'WINK' },
+        color: { label: 'Color', type: 'color', default: '#ff1493' }, // Deep pink
+        size: { label: 'Size', type: 'range', default: 72, min: 24, max: 144 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        push();
+        fill(params.color);
+        textAlign(CENTER, CENTER);
+        textSize(params.size);
+        textStyle(BOLD);
+        
+        // Add some fun styling
+        stroke(255);
+        strokeWeight(3);
+        
+        text(params.text, width / 2, height / 2 + slot * WINK_SLOT_SPACING);
+        pop();
+    }
+});
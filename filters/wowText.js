@@ -0,0 +1,28 @@
+// MOUTH "WOW"
+// "WOW" text in the top left corner - one row per face
+
+registerFilter({
+    name: 'wowText',
+    label: 'Mouth "WOW"',
+    scope: 'face',
+    requires: ['face'],
+    trigger: [{ type: 'mouthOpen' }],
+    params: {
+        text: { label: 'Text', type: 'text', default: 'WOW' },
+        color: { label: 'Color', type: 'color', default: '#000080' }, // Navy blue
+        size: { label: 'Size', type: 'range', default: 30, min: 12, max: 72 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        push();
+        fill(params.color);
+        textAlign(LEFT, TOP);
+        textSize(params.size);
+        textStyle(BOLD);
+        noStroke();
+        
+        // Position on the left side of the screen
+        text(params.text, 20, 20 + slot * FACE_SLOT_SPACING);
+        pop();
+    }
+});
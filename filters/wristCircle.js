@@ -0,0 +1,44 @@
+// WRIST DISTANCE CIRCLE
+// A circle between the two wrists that grows as the hands move apart
+
+registerFilter({
+    name: 'wristCircle',
+    label: 'Wrist Distance Circle',
+    scope: 'scene',
+    requires: ['hand'],
+    trigger: [{ type: 'bothHands' }],
+    params: {
+        color: { label: 'Color', type: 'color', default: '#ffffff' },
+        minSize: { label: 'Min Size', type: 'range', default: 20, min: 5, max: 100 },
+        maxSize: { label: 'Max Size', type: 'range', default: 200, min: 100, max: 400 }
+    },
+    
+    draw(face, slot, activeTime, params) {
+        // Use the left and right hand so the circle doesn't depend on detection order -
+        // if handedness isn't known for both, any two hands will do
+        let leftHand = getHandBySide('Left');
+        let rightHand = getHandBySide('Right');
+        if (!leftHand || !rightHand) {
+            leftHand = hands[0];
+            rightHand = hands[1];
+        }
+        let leftWrist = leftHand ? leftHand.keypoints[0] : null;
+        let rightWrist = rightHand ? rightHand.keypoints[0] : null;
+        if (!leftWrist || !rightWrist) return;
+        
+        // Calculate center point between wrists
+        let centerX = (leftWrist.x + rightWrist.x) / 2;
+        let centerY = (leftWrist.y + rightWrist.y) / 2;
+        
+        // Map the distance between the wrists to circle size
+        let distance = getLandmarkDistance(leftWrist, rightWrist);
+        let circleSize = map(distance, 50, 400, params.minSize, params.maxSize);
+        circleSize = constrain(circleSize, params.minSize, params.maxSize);
+        
+        push();
+        fill(params.color);
+        noStroke();
+        ellipse(centerX, centerY, circleSize, circleSize);
+        pop();
+    }
+});
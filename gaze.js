@@ -0,0 +1,126 @@
+// GAZE
+//
+// Iris tracking from the refined face mesh landmarks (468-477, only there
+// with refineLandmarks: true). For each eye we work out:
+// - center: the middle of the iris on screen
+// - radius / size: the iris radius in pixels and its diameter as a fraction
+//   of the eye width (the mesh tracks the iris, not the pupil itself)
+// - gaze: where the iris sits in the eye, { x, y } from -1 to 1 -
+//   x is screen left/right, y is up (-1) / down (1), 0, 0 = looking at the camera
+//
+// Directions are on screen, so with the mirrored video "left" is the way the
+// user's own left hand is.
+
+// Iris landmarks for each eye - same eye naming as FACE_STATE_LANDMARKS
+const IRIS_LANDMARKS = {
+    leftEye: { center: 468, ring: [469, 470, 471, 472], upperLid: 159, lowerLid: 145 },
+    rightEye: { center: 473, ring: [474, 475, 476, 477], upperLid: 386, lowerLid: 374 }
+};
+
+// How far (as a fraction of the eye width) the iris moves from the middle of
+// the eye when looking as far left/right or up/down as is comfortable
+const GAZE_HORIZONTAL_RANGE = 0.2;
+const GAZE_VERTICAL_RANGE = 0.08;
+
+// Gaze past this (0-1) counts as looking that way, inside GAZE_CENTER_THRESHOLD
+// on both axes counts as looking at the camera
+const GAZE_LOOK_THRESHOLD = 0.5;
+const GAZE_CENTER_THRESHOLD = 0.25;
+
+const GAZE_DIRECTIONS = {
+    left: 'Looking left',
+    right: 'Looking right',
+    up: 'Looking up',
+    down: 'Looking down',
+    center: 'Looking at camera'
+};
+
+// Iris measurements for one eye ('leftEye' or 'rightEye'):
+// { center, radius, size, gaze }, or null if the eye is closed or not tracked
+function getIrisState(face, eyeName) {
+    if (!face || !face.keypoints || face.keypoints.length < 478) return null;
+    
+    // Closed eyelids hide the iris and its landmarks drift
+    let openRatio = getEyeAspectRatio(face, FACE_STATE_LANDMARKS[eyeName]);
+    if (openRatio === null || openRatio < activeCalibration.eyeClosedRatio) return null;
+    
+    let points = face.keypoints;
+    let iris = IRIS_LANDMARKS[eyeName];
+    let eye = FACE_STATE_LANDMARKS[eyeName];
+    let center = points[iris.center];
+    
+    // The eye's own axis runs from its screen-left corner to its screen-right corner
+    let [cornerA, cornerB] = [points[eye.outer], points[eye.inner]].sort((a, b) => a.x - b.x);
+    let eyeWidth = getLandmarkDistance(cornerA, cornerB);
+    if (eyeWidth === 0) return null;
+    let axis = { x: (cornerB.x - cornerA.x) / eyeWidth, y: (cornerB.y - cornerA.y) / eyeWidth };
+    
+    // Iris position along the eye (0 = left corner, 1 = right corner) and
+    // across it, compared to halfway between the eyelids
+    let along = ((center.x - cornerA.x) * axis.x + (center.y - cornerA.y) * axis.y) / eyeWidth;
+    let lidMiddle = {
+        x: (points[iris.upperLid].x + points[iris.lowerLid].x) / 2,
+        y: (points[iris.upperLid].y + points[iris.lowerLid].y) / 2
+    };
+    let across = ((center.x - lidMiddle.x) * -axis.y + (center.y - lidMiddle.y) * axis.x) / eyeWidth;
+    
+    let radius = iris.ring.reduce((total, index) => total + getLandmarkDistance(points[index], center), 0) / iris.ring.length;
+    
+    return {
+        center: { x: center.x, y: center.y },
+        radius: radius,
+        size: (radius * 2) / eyeWidth,
+        gaze: {
+            x: constrain((along - 0.5) / GAZE_HORIZONTAL_RANGE, -1, 1),
+            y: constrain(across / GAZE_VERTICAL_RANGE, -1, 1)
+        }
+    };
+}
+
+// Both eyes' gaze averaged (just one if the other is closed): { x, y } or null
+function getGaze(face) {
+    let eyes = ['leftEye', 'rightEye'].map(eyeName => getIrisState(face, eyeName)).filter(eye => eye);
+    if (eyes.length === 0) return null;
+    
+    return {
+        x: eyes.reduce((total, eye) => total + eye.gaze.x, 0) / eyes.length,
+        y: eyes.reduce((total, eye) => total + eye.gaze.y, 0) / eyes.length
+    };
+}
+
+// Which way the face is looking: a GAZE_DIRECTIONS key, or null if the eyes aren't visible
+// Uses the debounced gaze signals, so it doesn't flicker between directions
+function getGazeDirection(face) {
+    if (!getGaze(face)) return null;
+    for (let direction of ['left', 'right', 'up', 'down']) {
+        if (isSignalActive(getGazeSignalName(direction), face.id)) return direction;
+    }
+    return isSignalActive('lookingAtCamera', face.id) ? 'center' : null;
+}
+
+function getGazeSignalName(direction) {
+    return direction === 'center' ? 'lookingAtCamera' : `looking${direction[0].toUpperCase()}${direction.slice(1)}`;
+}
+
+// Face signals for each direction: lookingLeft, lookingRight, lookingUp,
+// lookingDown and lookingAtCamera
+registerSignal('face', 'lookingLeft', hysteresisAbove(() => GAZE_LOOK_THRESHOLD), face => {
+    let gaze = getGaze(face);
+    return gaze ? -gaze.x : null;
+});
+registerSignal('face', 'lookingRight', hysteresisAbove(() => GAZE_LOOK_THRESHOLD), face => {
+    let gaze = getGaze(face);
+    return gaze ? gaze.x : null;
+});
+registerSignal('face', 'lookingUp', hysteresisAbove(() => GAZE_LOOK_THRESHOLD), face => {
+    let gaze = getGaze(face);
+    return gaze ? -gaze.y : null;
+});
+registerSignal('face', 'lookingDown', hysteresisAbove(() => GAZE_LOOK_THRESHOLD), face => {
+    let gaze = getGaze(face);
+    return gaze ? gaze.y : null;
+});
+registerSignal('face', 'lookingAtCamera', hysteresisBelow(() => GAZE_CENTER_THRESHOLD), face => {
+    let gaze = getGaze(face);
+    return gaze ? Math.max(Math.abs(gaze.x), Math.abs(gaze.y)) : null;
+});
@@ -0,0 +1,154 @@
+// HAND GESTURES
+//
+// Recognises named hand poses from the 21 hand keypoints.
+// 1. Each finger gets an extension value (0 = curled, 1 = straight) from the
+//    bend angles at its joints
+// 2. Each pose describes which fingers should be extended or curled (plus an
+//    extra check for poses like OK or thumbs up), and gets a 0-1 confidence
+//    from how well the hand matches
+//
+// Every pose is a hand signal (e.g. isSignalActive('peacePose', hand.id)) so
+// triggers can use them, and the data stream shows the pose whose signal is on.
+
+// Keypoint chains for each finger, from the wrist out to the fingertip
+const FINGER_JOINTS = {
+    thumb: [0, 1, 2, 3, 4],
+    index: [0, 5, 6, 7, 8],
+    middle: [0, 9, 10, 11, 12],
+    ring: [0, 13, 14, 15, 16],
+    pinky: [0, 17, 18, 19, 20]
+};
+
+const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Total bend (radians) at which a finger counts as fully curled
+// The thumb has fewer joints that bend, so it curls with less total bend
+const FINGER_MAX_BEND = { thumb: 1.2, index: 3.0, middle: 3.0, ring: 3.0, pinky: 3.0 };
+
+// Fingertips closer than this (relative to palm size) count as touching
+const FINGERTIP_TOUCH_DISTANCE = 0.35;
+
+// Poses below this confidence aren't reported as the hand's gesture
+const GESTURE_MIN_CONFIDENCE = 0.75;
+
+// Pose library. fingers: 1 = extended, 0 = curled, null = doesn't matter
+// (thumb, index, middle, ring, pinky). OK and pinch differ only in the other three fingers
+// extra(hand, extensions) returns an additional 0-1 match for the pose
+const HAND_POSES = {
+    openPalm: { label: 'Open Palm', fingers: [1, 1, 1, 1, 1] },
+    fist: { label: 'Fist', fingers: [0, 0, 0, 0, 0] },
+    point: { label: 'Point', fingers: [null, 1, 0, 0, 0] },
+    peace: { label: 'Peace', fingers: [null, 1, 1, 0, 0] },
+    thumbsUp: { label: 'Thumbs Up', fingers: [1, 0, 0, 0, 0], extra: hand => getThumbUpness(hand) },
+    ok: { label: 'OK', fingers: [null, null, 1, 1, 1], extra: hand => getFingertipCloseness(hand, 4, 8) },
+    pinch: { label: 'Pinch', fingers: [null, null, 0, 0, 0], extra: hand => getFingertipCloseness(hand, 4, 8) },
+    rock: { label: 'Rock', fingers: [null, 1, 0, 0, 1] }
+};
+
+// Gestures are measured many times a frame (data stream, labels, signals),
+// so results are cached per hand object - hands are new objects every frame
+let gestureCache = new WeakMap();
+
+// Angle (radians) between segment a->b and segment b->c - 0 means straight
+function getJointBend(a, b, c) {
+    let ux = b.x - a.x, uy = b.y - a.y, uz = (b.z || 0) - (a.z || 0);
+    let vx = c.x - b.x, vy = c.y - b.y, vz = (c.z || 0) - (b.z || 0);
+    let lengths = Math.sqrt(ux * ux + uy * uy + uz * uz) * Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (lengths === 0) return 0;
+    let cosine = (ux * vx + uy * vy + uz * vz) / lengths;
+    return Math.acos(constrain(cosine, -1, 1));
+}
+
+// Extension (0-1) for each finger: { thumb, index, middle, ring, pinky }
+// Uses the 3D keypoints when available so fingers pointing at the camera still read correctly
+function getFingerExtensions(hand) {
+    if (!hand || !hand.keypoints || hand.keypoints.length < 21) return null;
+    let points = hand.keypoints3D && hand.keypoints3D.length >= 21 ? hand.keypoints3D : hand.keypoints;
+    
+    let extensions = {};
+    for (let finger of FINGER_NAMES) {
+        let joints = FINGER_JOINTS[finger];
+        let totalBend = 0;
+        // Thumb bends at its MCP and IP joints, other fingers at MCP, PIP and DIP
+        let firstJoint = finger === 'thumb' ? 2 : 1;
+        for (let j = firstJoint; j < joints.length - 1; j++) {
+            totalBend += getJointBend(points[joints[j - 1]], points[joints[j]], points[joints[j + 1]]);
+        }
+        extensions[finger] = constrain(1 - totalBend / FINGER_MAX_BEND[finger], 0, 1);
+    }
+    return extensions;
+}
+
+// 1 when the two fingertips touch, falling to 0 as they move apart
+function getFingertipCloseness(hand, tipA, tipB) {
+    let palmSize = getPalmSize(hand);
+    if (palmSize === 0) return 0;
+    let distance = getLandmarkDistance(hand.keypoints[tipA], hand.keypoints[tipB]) / palmSize;
+    return constrain(map(distance, FINGERTIP_TOUCH_DISTANCE, FINGERTIP_TOUCH_DISTANCE * 2, 1, 0), 0, 1);
+}
+
+// 1 when the thumb points straight up, 0 when it's sideways or down
+function getThumbUpness(hand) {
+    let base = hand.keypoints[2];
+    let tip = hand.keypoints[4];
+    let length = getLandmarkDistance(base, tip);
+    if (length === 0) return 0;
+    return constrain((base.y - tip.y) / length, 0, 1);
+}
+
+// Confidence (0-1) for every pose: [{ name, label, confidence }] best first
+function getHandGestures(hand) {
+    if (!hand) return [];
+    if (gestureCache.has(hand)) return gestureCache.get(hand);
+    
+    let extensions = getFingerExtensions(hand);
+    if (!extensions) return [];
+    
+    let gestures = [];
+    for (let name of Object.keys(HAND_POSES)) {
+        let pose = HAND_POSES[name];
+        let total = 0;
+        let count = 0;
+        
+        pose.fingers.forEach((target, i) => {
+            if (target === null) return;
+            total += 1 - Math.abs(extensions[FINGER_NAMES[i]] - target);
+            count++;
+        });
+        if (pose.extra) {
+            total += pose.extra(hand, extensions);
+            count++;
+        }
+        
+        gestures.push({ name: name, label: pose.label, confidence: count > 0 ? total / count : 0 });
+    }
+    
+    gestures.sort((a, b) => b.confidence - a.confidence);
+    gestureCache.set(hand, gestures);
+    return gestures;
+}
+
+// The hand's pose ({ name, label, confidence }), or null if nothing is confident enough.
+// For tracked hands it's the pose whose signal is on, so the data stream shows
+// the same pose the triggers react to (the signal turns on a little above
+// GESTURE_MIN_CONFIDENCE and off a little below it, see signals.js)
+function getHandPose(hand) {
+    let gestures = getHandGestures(hand);
+    if (hand && hand.id !== undefined && getSignal('openPalmPose', hand.id)) {
+        return gestures.find(gesture => isSignalActive(`${gesture.name}Pose`, hand.id)) || null;
+    }
+    
+    // Hands the signals haven't seen yet
+    let best = gestures[0];
+    return best && best.confidence >= GESTURE_MIN_CONFIDENCE ? best : null;
+}
+
+// Every pose is a hand signal named after it: fistPose, peacePose, thumbsUpPose...
+// A pose only counts while it's the hand's best match, so one hand holds one pose at a time
+for (let poseName of Object.keys(HAND_POSES)) {
+    registerSignal('hand', `${poseName}Pose`, hysteresisAbove(() => GESTURE_MIN_CONFIDENCE), hand => {
+        let best = getHandGestures(hand)[0];
+        if (!best) return null;
+        return best.name === poseName ? best.confidence : 0;
+    });
+}
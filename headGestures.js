@@ -0,0 +1,140 @@
+// HEAD GESTURES
+//
+// Turns the head angles from facePose.js into triggers:
+// - tiltLeft / tiltRight: face signals while the head leans towards a shoulder
+// - nod / shake: temporal gestures - the head swinging up and down or side to
+//   side a few times within HEAD_GESTURE_WINDOW ms
+//
+// Nods and shakes go through the same event bus as the hand motion gestures,
+// so onGesture('nod', callback) works and they show up in "Recent Motion
+// Gestures". The event id is the face id.
+//
+// Directions are on screen, so with the mirrored video tilting towards your
+// own left shoulder is tiltLeft.
+
+const HEAD_TILTS = {
+    tiltLeft: 'Head tilted left',
+    tiltRight: 'Head tilted right'
+};
+
+const HEAD_GESTURES = {
+    nod: 'Nod',
+    shake: 'Head Shake'
+};
+
+// Roll (degrees) past which the head counts as tilted
+const HEAD_TILT_THRESHOLD = 15;
+
+// Nods and shakes: direction changes of the pitch (nod) or yaw (shake)
+const HEAD_GESTURE_WINDOW = 1200;       // Look at the last 1.2s of movement
+const HEAD_GESTURE_MIN_SWING = 8;       // Degrees each swing has to cover
+const HEAD_GESTURE_MIN_REVERSALS = 2;   // Down-up-down (or left-right-left)
+const HEAD_GESTURE_MAX_CROSS_RATIO = 0.6; // Other axis range / gesture axis range
+const HEAD_GESTURE_COOLDOWN = 800;
+
+// Head angle samples per face id: [{ time, yaw, pitch }]
+let headTrajectories = {};
+// When each face last nodded or shook, by face id
+let lastHeadGestureTimes = {};
+
+registerSignal('face', 'tiltLeft', hysteresisAbove(() => HEAD_TILT_THRESHOLD), face => {
+    let angles = getHeadAngles(face);
+    return angles ? -angles.roll : null;
+});
+registerSignal('face', 'tiltRight', hysteresisAbove(() => HEAD_TILT_THRESHOLD), face => {
+    let angles = getHeadAngles(face);
+    return angles ? angles.roll : null;
+});
+
+// Called once per frame from draw() with the latest faces
+function updateHeadGestures() {
+    let now = millis();
+    let seenIds = new Set();
+    
+    for (let face of faces) {
+        let angles = getHeadAngles(face);
+        if (!angles) continue;
+        
+        seenIds.add(String(face.id));
+        if (!headTrajectories[face.id]) headTrajectories[face.id] = [];
+        let trajectory = headTrajectories[face.id];
+        trajectory.push({ time: now, yaw: angles.yaw, pitch: angles.pitch });
+        while (trajectory.length > 0 && now - trajectory[0].time > HEAD_GESTURE_WINDOW) {
+            trajectory.shift();
+        }
+        
+        let lastTime = lastHeadGestureTimes[face.id];
+        if (lastTime !== undefined && now - lastTime < HEAD_GESTURE_COOLDOWN) continue;
+        
+        let gesture = recognizeHeadGesture(trajectory);
+        if (gesture) {
+            lastHeadGestureTimes[face.id] = now;
+            // Start afresh so one long shake doesn't fire over and over
+            headTrajectories[face.id] = [];
+            emitGesture(Object.assign({
+                id: face.id,
+                side: null,
+                label: `Face ${face.id}`,
+                timestamp: now
+            }, gesture));
+        }
+    }
+    
+    // Forget faces that left the frame
+    for (let id of Object.keys(headTrajectories)) {
+        if (!seenIds.has(id)) {
+            delete headTrajectories[id];
+            delete lastHeadGestureTimes[id];
+        }
+    }
+}
+
+// { gesture: 'nod' | 'shake', reversals, range } or null
+function recognizeHeadGesture(trajectory) {
+    if (trajectory.length < 6) return null;
+    
+    let yaws = trajectory.map(sample => sample.yaw);
+    let pitches = trajectory.map(sample => sample.pitch);
+    let yawRange = Math.max(...yaws) - Math.min(...yaws);
+    let pitchRange = Math.max(...pitches) - Math.min(...pitches);
+    
+    // Shaking moves the yaw much more than the pitch, nodding the other way round
+    let axes = [
+        { gesture: 'shake', values: yaws, range: yawRange, crossRange: pitchRange },
+        { gesture: 'nod', values: pitches, range: pitchRange, crossRange: yawRange }
+    ];
+    for (let axis of axes) {
+        if (axis.crossRange > axis.range * HEAD_GESTURE_MAX_CROSS_RATIO) continue;
+        
+        let reversals = countSwingReversals(axis.values, HEAD_GESTURE_MIN_SWING);
+        if (reversals >= HEAD_GESTURE_MIN_REVERSALS) {
+            return { gesture: axis.gesture, reversals: reversals, range: axis.range };
+        }
+    }
+    return null;
+}
+
+// How many times the values turn back after moving at least minSwing -
+// smaller wobbles in between are ignored
+function countSwingReversals(values, minSwing) {
+    let reversals = 0;
+    let direction = 0;
+    let extreme = values[0];
+    
+    for (let value of values) {
+        if (direction === 0) {
+            // Wait for the first swing to get going
+            if (Math.abs(value - extreme) >= minSwing) {
+                direction = Math.sign(value - extreme);
+                extreme = value;
+            }
+        } else if ((value - extreme) * direction > 0) {
+            extreme = value;
+        } else if ((extreme - value) * direction >= minSwing) {
+            reversals++;
+            direction = -direction;
+            extreme = value;
+        }
+    }
+    return reversals;
+}
@@ -0,0 +1,256 @@
+// INPUT SOURCES
+//
+// Where the faces and hands come from:
+// - webcam: the live camera (the default)
+// - videoFile: a local video file, played on a loop - the models run on it
+//   exactly like they do on the camera
+// - landmarks: a session saved as JSON Lines by the session recorder (see
+//   sessionRecorder.js) with keypoints included. There's no video and no
+//   models - the recorded faces and hands are handed to the tracker and
+//   smoother in time, as if the models had just detected them
+//
+// Everything after that - drawing, signals, gestures, rules and filters - runs
+// the same whatever the source, so a bug or a demo can be reproduced offline.
+// Recorded keypoints were already smoothed once; turn Landmark Smoothing off
+// to replay them exactly as they were saved.
+
+const INPUT_SOURCES = {
+    webcam: 'Webcam',
+    videoFile: 'Video File',
+    landmarks: 'Recorded Landmarks'
+};
+
+// File types the file picker offers for each source
+const INPUT_SOURCE_FILE_TYPES = {
+    videoFile: 'video/*',
+    landmarks: '.jsonl,.json,application/json'
+};
+
+let inputSource = 'webcam';
+let inputVideoUrl = null;        // Object URL of the playing video file, freed when it changes
+let landmarkReplay = null;       // { name, frames, duration, startedAt, nextFrame } while replaying
+let landmarkReplayFile = null;   // The landmark file being loaded
+let lastReplayStatusSecond = null;
+
+// Do the models need a video for the current source?
+function usesVideoInput() {
+    return inputSource !== 'landmarks';
+}
+
+// Switch to another source - file is the picked video or landmark file
+function setInputSource(source, file) {
+    stopInputSource();
+    inputSource = source;
+    
+    if (source === 'landmarks') {
+        loadLandmarkReplay(file);
+    } else {
+        initializeVideo(source === 'videoFile' ? file : null);
+    }
+}
+
+function stopInputSource() {
+    if (video) {
+        // Turn the camera off rather than just hiding it
+        let stream = video.elt.srcObject;
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        video.remove();
+        video = null;
+    }
+    if (inputVideoUrl) {
+        URL.revokeObjectURL(inputVideoUrl);
+        inputVideoUrl = null;
+    }
+    landmarkReplay = null;
+    landmarkReplayFile = null;
+    resetLandmarks();
+}
+
+// Forget the last source's faces and hands so they don't hang around on the new one
+function resetLandmarks() {
+    faceTracker.reset();
+    handTracker.reset();
+    faceSmoother.reset();
+    handSmoother.reset();
+    faces = [];
+    hands = [];
+}
+
+// VIDEO FILES
+
+// A looping, muted video of the file - ready() runs once it can play
+function createVideoFromFile(file, ready) {
+    inputVideoUrl = URL.createObjectURL(file);
+    let fileVideo = createVideo(inputVideoUrl, () => {
+        // createCapture sets this for the camera, createVideo doesn't
+        fileVideo.loadedmetadata = true;
+        fileVideo.volume(0);
+        fileVideo.loop();
+        updateInputSourceStatus(`Playing ${file.name}`);
+        ready();
+    });
+    return fileVideo;
+}
+
+// LANDMARK REPLAY
+
+function loadLandmarkReplay(file) {
+    updateInputSourceStatus(`Loading ${file.name}...`);
+    landmarkReplayFile = file;
+    
+    let reader = new FileReader();
+    reader.onload = () => {
+        // Another source or file was picked while this one was loading
+        if (landmarkReplayFile !== file) return;
+        
+        let frames;
+        try {
+            frames = parseLandmarkSession(reader.result);
+        } catch (error) {
+            console.error("Error reading landmark file:", error);
+            updateInputSourceStatus(`❌ ${error.message}`);
+            return;
+        }
+        
+        landmarkReplay = {
+            name: file.name,
+            frames: frames,
+            duration: frames[frames.length - 1].time,
+            startedAt: millis(),
+            nextFrame: 0
+        };
+        lastReplayStatusSecond = null;
+        console.log(`▶️ Replaying ${frames.length} landmark frames from ${file.name}`);
+        updateStatus("▶️ Replaying recorded landmarks");
+    };
+    reader.onerror = () => {
+        console.error("Error reading landmark file:", reader.error);
+        updateInputSourceStatus(`❌ Couldn't read ${file.name}`);
+    };
+    reader.readAsText(file);
+}
+
+// Frames from a session recorder JSON Lines file (or a JSON array of frames),
+// sorted by time with times starting at zero
+function parseLandmarkSession(text) {
+    let trimmed = text.trim();
+    let frames = trimmed.startsWith('[') ?
+        JSON.parse(trimmed) :
+        trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    
+    frames = frames.filter(frame => frame && (Array.isArray(frame.faces) || Array.isArray(frame.hands)));
+    let rows = frames.flatMap(frame => (frame.faces || []).concat(frame.hands || []));
+    if (!rows.some(row => Array.isArray(row.keypoints))) {
+        throw new Error("No keypoints in this file - record the session with Include Keypoints ticked");
+    }
+    
+    // Files without times play back at 30 frames a second
+    frames.forEach((frame, i) => {
+        if (typeof frame.time !== 'number') frame.time = i * 1000 / 30;
+    });
+    frames.sort((a, b) => a.time - b.time);
+    let start = frames[0].time;
+    frames.forEach(frame => frame.time -= start);
+    return frames;
+}
+
+// Called at the start of every frame from draw(), before the landmarks are smoothed
+function updateInputSource() {
+    if (!landmarkReplay) return;
+    let replay = landmarkReplay;
+    
+    // Start again from the top once the recording has finished
+    if (replay.nextFrame >= replay.frames.length) {
+        replay.startedAt = millis();
+        replay.nextFrame = 0;
+        resetLandmarks();
+    }
+    
+    // Only the newest frame that's due is used if the sketch is running slower
+    // than the recording - the smoother fills in between
+    let elapsed = millis() - replay.startedAt;
+    let due = null;
+    while (replay.nextFrame < replay.frames.length && replay.frames[replay.nextFrame].time <= elapsed) {
+        due = replay.frames[replay.nextFrame];
+        replay.nextFrame++;
+    }
+    if (due) replayLandmarkFrame(due);
+    
+    // Position in the status line, updated once a second
+    let second = Math.floor(elapsed / 1000);
+    if (second !== lastReplayStatusSecond) {
+        lastReplayStatusSecond = second;
+        updateInputSourceStatus(`▶ ${replay.name}: ${second}s / ${Math.ceil(replay.duration / 1000)}s`);
+    }
+}
+
+// Hand a recorded frame over as if the models had just detected it
+function replayLandmarkFrame(frame) {
+    // Keypoints are in the recording's canvas pixels
+    let scaleX = frame.width ? width / frame.width : 1;
+    let scaleY = frame.height ? height / frame.height : 1;
+    let toResult = row => {
+        let result = {
+            keypoints: row.keypoints.map(([x, y, z]) => ({ x: x * scaleX, y: y * scaleY, z: (z || 0) * scaleX }))
+        };
+        // The hand tracker labels hands from the model's handedness
+        if (row.side) result.handedness = row.side;
+        return result;
+    };
+    let hasKeypoints = row => Array.isArray(row.keypoints) && row.keypoints.length > 0;
+    
+    receiveFaceResults((frame.faces || []).filter(hasKeypoints).map(toResult));
+    receiveHandResults((frame.hands || []).filter(hasKeypoints).map(toResult));
+}
+
+// CONTROLS
+
+function setupInputSourceControls() {
+    let sourceSelect = document.getElementById('inputSourceSelect');
+    let fileInput = document.getElementById('inputSourceFile');
+    if (!sourceSelect || !fileInput) return;
+    
+    sourceSelect.innerHTML = '';
+    for (let source of Object.keys(INPUT_SOURCES)) {
+        let option = document.createElement('option');
+        option.value = source;
+        option.textContent = INPUT_SOURCES[source];
+        sourceSelect.appendChild(option);
+    }
+    sourceSelect.value = inputSource;
+    
+    // The camera starts straight away, the other sources wait for a file
+    sourceSelect.addEventListener('change', function() {
+        fileInput.value = '';
+        updateInputSourceFileField(this.value);
+        if (this.value === 'webcam') {
+            setInputSource('webcam');
+        } else {
+            updateInputSourceStatus(this.value === 'videoFile' ?
+                "Pick a video file" :
+                "Pick a session saved as JSON Lines with keypoints");
+        }
+    });
+    
+    fileInput.addEventListener('change', function() {
+        if (this.files && this.files[0]) {
+            setInputSource(sourceSelect.value, this.files[0]);
+        }
+    });
+    
+    updateInputSourceFileField(inputSource);
+}
+
+// Show the file picker for the sources that need a file
+function updateInputSourceFileField(source) {
+    let fileField = document.getElementById('inputSourceFileField');
+    if (fileField) fileField.style.display = INPUT_SOURCE_FILE_TYPES[source] ? 'flex' : 'none';
+    
+    let fileInput = document.getElementById('inputSourceFile');
+    if (fileInput && INPUT_SOURCE_FILE_TYPES[source]) fileInput.accept = INPUT_SOURCE_FILE_TYPES[source];
+}
+
+function updateInputSourceStatus(message) {
+    let status = document.getElementById('inputSourceStatus');
+    if (status) status.textContent = message;
+}
@@ -0,0 +1,244 @@
+// LANDMARK VIEWS
+//
+// Different ways to draw the face mesh and hand skeletons when "Face Mesh" or
+// "Hand Pose" is switched on - picked from the Display Controls:
+// - points: every landmark as a dot
+// - wireframe / skeleton: the triangles of the face mesh, the bones of the hand
+// - contours (face): only the outlines of the lips, eyes, brows, face and irises
+// - fingers (hand): each finger in its own color
+// - depth: closer landmarks are warmer (face) or bigger (hand)
+// - labels: the index of every landmark, for finding the one you need
+
+const FACE_VIEW_MODES = {
+    points: 'Points',
+    wireframe: 'Wireframe',
+    contours: 'Contours',
+    depth: 'Depth Heatmap',
+    labels: 'Index Labels'
+};
+
+const HAND_VIEW_MODES = {
+    skeleton: 'Skeleton',
+    points: 'Points',
+    fingers: 'Finger Colors',
+    depth: 'Depth Sizes',
+    labels: 'Index Labels'
+};
+
+// Face outlines as landmark index chains - closed ones join back to the start
+const FACE_CONTOURS = [
+    { name: 'faceOval', closed: true, points: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378,
+                                              400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109] },
+    { name: 'lipsOuter', closed: true, points: [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291, 375, 321, 405, 314, 17, 84, 181, 91, 146] },
+    { name: 'lipsInner', closed: true, points: [78, 191, 80, 81, 82, 13, 312, 311, 310, 415, 308, 324, 318, 402, 317, 14, 87, 178, 88, 95] },
+    // Left and right are named like FACE_STATE_LANDMARKS in detection.js and gaze.js
+    { name: 'leftEye', closed: true, points: [33, 246, 161, 160, 159, 158, 157, 173, 133, 155, 154, 153, 145, 144, 163, 7] },
+    { name: 'rightEye', closed: true, points: [263, 466, 388, 387, 386, 385, 384, 398, 362, 382, 381, 380, 374, 373, 390, 249] },
+    { name: 'leftBrow', closed: false, points: [46, 53, 52, 65, 55] },
+    { name: 'leftBrowTop', closed: false, points: [70, 63, 105, 66, 107] },
+    { name: 'rightBrow', closed: false, points: [276, 283, 282, 295, 285] },
+    { name: 'rightBrowTop', closed: false, points: [300, 293, 334, 296, 336] },
+    // Iris rings only exist with refineLandmarks (478 keypoints)
+    { name: 'leftIris', closed: true, points: [469, 470, 471, 472] },
+    { name: 'rightIris', closed: true, points: [474, 475, 476, 477] }
+];
+
+// Hand landmark depth (keypoints3D z, in meters from the hand's center) that
+// maps to the smallest and largest points in the depth view
+const HAND_DEPTH_RANGE = 0.05;
+
+let faceViewMode = 'points';
+let handViewMode = 'skeleton';
+
+// FACE VIEWS
+
+function drawFaceView(face, mode = faceViewMode) {
+    let keypoints = face.keypoints;
+    if (!keypoints || keypoints.length === 0) return;
+    
+    push();
+    if (mode === 'wireframe' && loadFaceMeshTopology()) {
+        drawFaceWireframe(keypoints);
+    } else if (mode === 'contours' || mode === 'wireframe') {
+        // No triangles until the model has loaded - the contours are the next best thing
+        drawFaceContours(keypoints);
+    } else if (mode === 'depth') {
+        drawFaceDepth(keypoints);
+    } else if (mode === 'labels') {
+        drawLandmarkLabels(keypoints, COLORS.face);
+    } else {
+        fill(COLORS.face);
+        noStroke();
+        for (let point of keypoints) {
+            ellipse(point.x, point.y, pointSize, pointSize);
+        }
+    }
+    pop();
+}
+
+function drawFaceWireframe(keypoints) {
+    noFill();
+    stroke(COLORS.face);
+    strokeWeight(0.5);
+    beginShape(TRIANGLES);
+    for (let triangle of faceMeshTriangles) {
+        if (triangle.some(index => !keypoints[index])) continue;
+        for (let index of triangle) {
+            vertex(keypoints[index].x, keypoints[index].y);
+        }
+    }
+    endShape();
+}
+
+function drawFaceContours(keypoints) {
+    noFill();
+    stroke(COLORS.face);
+    strokeWeight(lineThickness);
+    for (let contour of FACE_CONTOURS) {
+        let points = contour.points.map(index => keypoints[index]);
+        if (points.some(point => !point)) continue;
+        
+        beginShape();
+        for (let point of points) {
+            vertex(point.x, point.y);
+        }
+        endShape(contour.closed ? CLOSE : undefined);
+    }
+}
+
+// Blue for the furthest landmark, red for the closest (smaller z = closer)
+function drawFaceDepth(keypoints) {
+    let depths = keypoints.map(point => point.z || 0);
+    let nearest = Math.min(...depths);
+    let furthest = Math.max(...depths);
+    let range = furthest - nearest || 1;
+    
+    noStroke();
+    colorMode(HSB, 360, 100, 100);
+    keypoints.forEach((point, i) => {
+        let closeness = 1 - (depths[i] - nearest) / range;
+        fill(lerp(240, 0, closeness), 90, 100);
+        ellipse(point.x, point.y, pointSize, pointSize);
+    });
+}
+
+// HAND VIEWS
+
+function drawHandView(hand, mode = handViewMode) {
+    let keypoints = hand.keypoints;
+    if (!keypoints || keypoints.length === 0) return;
+    
+    push();
+    if (mode === 'fingers') {
+        drawHandFingers(keypoints);
+    } else if (mode === 'depth') {
+        drawHandDepth(hand);
+    } else if (mode === 'labels') {
+        drawLandmarkLabels(keypoints, COLORS.hands);
+    } else {
+        fill(COLORS.hands);
+        noStroke();
+        for (let keypoint of keypoints) {
+            ellipse(keypoint.x, keypoint.y, pointSize, pointSize);
+        }
+        
+        if (mode === 'skeleton') {
+            stroke(COLORS.hands);
+            strokeWeight(lineThickness);
+            drawHandConnections(keypoints);
+        }
+    }
+    
+    // Hand label above the wrist
+    if (keypoints[0]) {
+        fill(COLORS.hands);
+        noStroke();
+        textAlign(CENTER);
+        textSize(12);
+        text(hand.label || "Hand", keypoints[0].x, keypoints[0].y - 20);
+    }
+    pop();
+}
+
+// Each finger's bones and joints in its own color, palm in the hand color
+function drawHandFingers(keypoints) {
+    strokeWeight(lineThickness);
+    stroke(COLORS.hands);
+    for (let [a, b] of [[5, 9], [9, 13], [13, 17]]) {
+        if (keypoints[a] && keypoints[b]) line(keypoints[a].x, keypoints[a].y, keypoints[b].x, keypoints[b].y);
+    }
+    
+    for (let finger of FINGER_NAMES) {
+        let joints = FINGER_JOINTS[finger].map(index => keypoints[index]);
+        if (joints.some(joint => !joint)) continue;
+        
+        stroke(COLORS.fingers[finger]);
+        for (let i = 1; i < joints.length; i++) {
+            line(joints[i - 1].x, joints[i - 1].y, joints[i].x, joints[i].y);
+        }
+        noStroke();
+        fill(COLORS.fingers[finger]);
+        for (let joint of joints.slice(1)) {
+            ellipse(joint.x, joint.y, pointSize, pointSize);
+        }
+    }
+    
+    fill(COLORS.hands);
+    ellipse(keypoints[0].x, keypoints[0].y, pointSize * 1.5, pointSize * 1.5);
+}
+
+// Joints closer to the camera are drawn bigger
+function drawHandDepth(hand) {
+    let keypoints = hand.keypoints;
+    // keypoints3D has real depth - plain keypoints may not have any
+    let depthPoints = hand.keypoints3D || keypoints;
+    
+    stroke(COLORS.hands);
+    strokeWeight(1);
+    drawHandConnections(keypoints);
+    
+    noStroke();
+    fill(COLORS.hands);
+    keypoints.forEach((keypoint, i) => {
+        let depth = depthPoints[i] && depthPoints[i].z !== undefined ? depthPoints[i].z : 0;
+        let size = pointSize * map(constrain(depth, -HAND_DEPTH_RANGE, HAND_DEPTH_RANGE), -HAND_DEPTH_RANGE, HAND_DEPTH_RANGE, 3, 0.5);
+        ellipse(keypoint.x, keypoint.y, size, size);
+    });
+}
+
+// SHARED HELPERS
+
+function drawLandmarkLabels(keypoints, color) {
+    noStroke();
+    fill(color);
+    textAlign(CENTER, CENTER);
+    textSize(7);
+    keypoints.forEach((point, i) => {
+        text(i, point.x, point.y);
+    });
+}
+
+// Fill the Display Controls dropdowns from the mode lists
+function setupViewModeControls() {
+    let views = [
+        { id: 'faceViewSelect', modes: FACE_VIEW_MODES, current: faceViewMode, set: mode => { faceViewMode = mode; } },
+        { id: 'handViewSelect', modes: HAND_VIEW_MODES, current: handViewMode, set: mode => { handViewMode = mode; } }
+    ];
+    
+    for (let view of views) {
+        let select = document.getElementById(view.id);
+        if (!select) continue;
+        
+        select.innerHTML = '';
+        for (let mode of Object.keys(view.modes)) {
+            let option = document.createElement('option');
+            option.value = mode;
+            option.textContent = view.modes[mode];
+            select.appendChild(option);
+        }
+        select.value = view.current;
+        select.addEventListener('change', function() {
+            view.set(this.value);
+        });
+    }
+}
@@ -0,0 +1,423 @@
+// MODEL LIFECYCLE
+//
+// Loads the ml5 models and keeps them detecting. Each model has a state:
+// - waiting: the video isn't there yet, or nothing has used the model yet
+// - loading: the model is downloading and starting up
+// - ready: loaded, but there's no video to run on right now
+// - running: detecting on the video
+// - paused: loaded, but nothing uses its results right now
+// - error: ml5.js didn't load, or the model failed or took too long to load -
+//   tried again after a delay that doubles every time (up to a limit)
+// - stalled: a detection didn't come back in time - the model is reloaded
+//
+// Detections are started from draw() rather than with ml5's detectStart(),
+// which runs as fast as it can and can't be slowed down or paused per model.
+// Each model has at most one detection in progress - the next one starts on
+// the first frame after it comes back and detectionRate allows it.
+//
+// Models are only loaded and run while something uses their results - an
+// enabled filter or trigger, a ticked Data Stream Option, the landmark
+// drawings, calibration... (see getUsedModelInputs). So with only cat ears on,
+// Hand Pose never loads. Untick Only Run Models In Use to load and run both
+// all the time, for example when your own code in sketch.js reads hands.
+//
+// Every model's state shows in the status panel (see updateModelStatusPanel).
+// The rest of the sketch only sees the results, through receiveFaceResults
+// and receiveHandResults (see smoothing.js).
+
+const MODEL_STATES = {
+    waiting: 'Waiting',
+    loading: 'Loading',
+    ready: 'Ready',
+    running: 'Running',
+    paused: 'Paused',
+    error: 'Error',
+    stalled: 'Stalled'
+};
+
+const MODEL_LOAD_TIMEOUT = 30000;     // A model that isn't ready after this long has failed (ms)
+const MODEL_STALL_TIMEOUT = 3000;     // A detection that hasn't come back after this long has stalled (ms)
+const MODEL_RETRY_BASE_DELAY = 1000;  // First retry delay, doubled for every failure in a row (ms)
+const MODEL_RETRY_MAX_DELAY = 30000;
+const MODEL_WATCHDOG_INTERVAL = 500;  // How often load timeouts and stalls are checked (ms)
+const DETECTION_TIMING_SLACK = 8;     // How early a detection may start, so 30/s at 60fps isn't 20/s (ms)
+
+// The detection methods ml5 models have had over the versions, best first
+const MODEL_DETECT_METHODS = ['detect', 'detectMedia', 'predict'];
+
+// How to create each model and where its results go
+// input is what filters and rules call its results in their requires lists
+const MODEL_DEFINITIONS = {
+    faceMesh: {
+        label: 'Face Mesh',
+        input: 'face',
+        create: ready => ml5.faceMesh(getFaceMeshOptions(), ready),
+        use: model => { faceMesh = model; },
+        receive: results => receiveFaceResults(results),
+        clear: () => {
+            faceTracker.reset();
+            faceSmoother.reset();
+            faces = [];
+        }
+    },
+    handPose: {
+        label: 'Hand Pose',
+        input: 'hand',
+        create: ready => ml5.handPose(getHandPoseOptions(), ready),
+        use: model => { handPose = model; },
+        receive: results => receiveHandResults(results),
+        clear: () => {
+            handTracker.reset();
+            handSmoother.reset();
+            hands = [];
+        }
+    }
+};
+
+// Detection settings - changed from the control panel
+let detectionRate = 30;          // Detections a second each model aims for
+let modelsOnDemand = true;       // Only load and run the models something is using
+
+// Lifecycle of each model, by name
+let modelStates = {};
+let modelsStarted = false;        // Set once the first video is ready - models can load from then on
+let modelWatchdog = null;
+let lastModelStatusHtml = null;
+
+function createModelState() {
+    return {
+        state: 'waiting',
+        detail: 'Waiting for video',
+        model: null,
+        detectMethod: null,
+        generation: 0,        // Goes up on every (re)load, failure and pause so old callbacks are ignored
+        reloadToken: 0,       // Goes up on every load and reload so only the newest replacement is used
+        reloadPending: false, // Options changed while loading - reload once the model is ready
+        failures: 0,          // Failures in a row, for the retry delay
+        retryAt: null,        // When the next load attempt starts after an error
+        loadStartedAt: null,
+        pendingSince: null,   // When the detection in progress started
+        lastStartedAt: null,  // When the last detection started, for the rate
+        detectionTimes: []    // When the last second's detections finished, for the rate
+    };
+}
+
+for (let name of Object.keys(MODEL_DEFINITIONS)) {
+    modelStates[name] = createModelState();
+}
+
+function setModelState(name, state, detail = '') {
+    let entry = modelStates[name];
+    if (entry.state !== state) {
+        console.log(`🤖 ${MODEL_DEFINITIONS[name].label}: ${MODEL_STATES[state]}${detail ? ' - ' + detail : ''}`);
+    }
+    entry.state = state;
+    entry.detail = detail;
+}
+
+// START AND LOAD
+
+// Called when a video is ready - each model loads on the first frame something uses it
+function startModels() {
+    modelsStarted = true;
+    if (!modelWatchdog) modelWatchdog = setInterval(checkModels, MODEL_WATCHDOG_INTERVAL);
+}
+
+function loadModel(name) {
+    let entry = modelStates[name];
+    let generation = ++entry.generation;
+    entry.reloadToken++;
+    entry.reloadPending = false; // This load uses the current options
+    // Retrying after a failure or stall - free the old model first
+    disposeModel(entry.model);
+    entry.model = null;
+    entry.detectMethod = null;
+    entry.retryAt = null;
+    entry.pendingSince = null;
+    
+    // ml5.js comes from a CDN and can be slow or fail to load
+    if (typeof ml5 === 'undefined') {
+        failModel(name, 'ml5.js not loaded');
+        return;
+    }
+    
+    setModelState(name, 'loading', entry.failures > 0 ? `Attempt ${entry.failures + 1}` : '');
+    entry.loadStartedAt = millis();
+    
+    let model;
+    try {
+        model = MODEL_DEFINITIONS[name].create(() => {
+            // Loaded again (or failed) while this one was loading
+            if (entry.generation !== generation) return;
+            useLoadedModel(name, model);
+        });
+        entry.model = model;
+    } catch (error) {
+        console.error(`Error loading ${MODEL_DEFINITIONS[name].label}:`, error);
+        failModel(name, error.message || 'Failed to load');
+    }
+}
+
+// The model has loaded - work out how to call it, then draw() starts detecting
+function useLoadedModel(name, model) {
+    let entry = modelStates[name];
+    let detectMethod = MODEL_DETECT_METHODS.find(method => model && typeof model[method] === 'function');
+    if (!detectMethod) {
+        failModel(name, 'No detection method on the model');
+        return;
+    }
+    
+    entry.model = model;
+    entry.detectMethod = detectMethod;
+    entry.loadStartedAt = null;
+    entry.retryAt = null;
+    entry.pendingSince = null; // The old model's detection in progress won't be waited for
+    MODEL_DEFINITIONS[name].use(model);
+    setModelState(name, 'ready');
+    
+    if (entry.reloadPending) {
+        entry.reloadPending = false;
+        reloadModel(name);
+    }
+}
+
+// Something went wrong - try loading again after the retry delay. A load that's
+// only slow (stillLoading) can still finish and be used until the retry starts.
+function failModel(name, reason, state = 'error', stillLoading = false) {
+    let entry = modelStates[name];
+    if (!stillLoading) entry.generation++; // Ignore anything the failed model still sends
+    entry.failures++;
+    entry.detectMethod = null;
+    entry.pendingSince = null;
+    entry.loadStartedAt = null;
+    entry.retryAt = millis() + getModelRetryDelay(entry.failures);
+    setModelState(name, state, reason);
+}
+
+function getModelRetryDelay(failures) {
+    return Math.min(MODEL_RETRY_BASE_DELAY * Math.pow(2, failures - 1), MODEL_RETRY_MAX_DELAY);
+}
+
+// Load a fresh copy of a model with new options (like maxFaces), keeping the
+// old one detecting until the new one is ready
+function reloadModel(name) {
+    let entry = modelStates[name];
+    if (!entry.detectMethod) {
+        // A load that hasn't started picks up the new options, but one in
+        // progress (or slow and past its timeout) was made with the old ones
+        if (entry.state !== 'waiting') entry.reloadPending = true;
+        return;
+    }
+    
+    setModelState(name, entry.state, 'Reloading...');
+    let token = ++entry.reloadToken;
+    let replacement;
+    try {
+        replacement = MODEL_DEFINITIONS[name].create(() => {
+            // Reloaded again (or loaded from scratch) since - this one has old options
+            if (entry.reloadToken !== token) {
+                disposeModel(replacement);
+                return;
+            }
+            
+            // Swap models only once the new one is ready so detection never stops
+            let oldModel = entry.model;
+            entry.generation++;
+            useLoadedModel(name, replacement);
+            disposeModel(oldModel);
+        });
+    } catch (error) {
+        console.error(`Error reloading ${MODEL_DEFINITIONS[name].label}:`, error);
+        setModelState(name, entry.state, '');
+    }
+}
+
+// Free the TensorFlow.js memory (and GPU textures) a model that's been
+// replaced holds - ml5 keeps the TensorFlow.js model in model.model
+function disposeModel(model) {
+    if (!model || !model.model || typeof model.model.dispose !== 'function') return;
+    try {
+        model.model.dispose();
+    } catch (error) {
+        console.warn("Error freeing a model:", error);
+    }
+}
+
+// DETECTION
+
+// Called every frame from draw() - loads the models that have just been
+// asked for and starts the next detection for each one that's loaded, in use,
+// free and due
+function updateModelDetections() {
+    let now = millis();
+    let used = modelsOnDemand ? getUsedModelInputs() : null;
+    
+    for (let name of Object.keys(modelStates)) {
+        let entry = modelStates[name];
+        let inUse = !used || used.has(MODEL_DEFINITIONS[name].input);
+        
+        if (entry.state === 'waiting') {
+            if (modelsStarted && inUse) {
+                loadModel(name);
+            } else if (modelsStarted) {
+                setModelState(name, 'waiting', 'Loads when something uses it');
+            }
+            continue;
+        }
+        if (!entry.detectMethod) continue; // Loading, or failed and waiting to retry
+        
+        if (!inUse) {
+            if (entry.state !== 'paused') pauseModel(name);
+            continue;
+        }
+        
+        // Backpressure: the next detection waits for the last one to come back
+        if (entry.pendingSince !== null) continue;
+        if (entry.lastStartedAt !== null && now - entry.lastStartedAt < 1000 / detectionRate - DETECTION_TIMING_SLACK) continue;
+        
+        startModelDetection(name);
+    }
+}
+
+function startModelDetection(name) {
+    let entry = modelStates[name];
+    
+    // No video right now (still starting, or replaying recorded landmarks)
+    if (!video || !video.elt || !video.loadedmetadata) {
+        setModelState(name, 'ready', 'Waiting for video');
+        return;
+    }
+    
+    let generation = entry.generation;
+    entry.pendingSince = millis();
+    entry.lastStartedAt = entry.pendingSince;
+    try {
+        entry.model[entry.detectMethod](video.elt, results => {
+            if (entry.generation !== generation) return;
+            finishModelDetection(name, results);
+        });
+    } catch (error) {
+        console.error(`${MODEL_DEFINITIONS[name].label} detection error:`, error);
+        failModel(name, error.message || 'Detection failed');
+    }
+}
+
+function finishModelDetection(name, results) {
+    let entry = modelStates[name];
+    let now = millis();
+    entry.pendingSince = null;
+    entry.failures = 0;
+    entry.detectionTimes.push(now);
+    while (entry.detectionTimes.length > 0 && now - entry.detectionTimes[0] > 1000) {
+        entry.detectionTimes.shift();
+    }
+    
+    if (entry.state !== 'running') setModelState(name, 'running');
+    // Empty results too, so faces and hands that left the frame are dropped
+    MODEL_DEFINITIONS[name].receive(results || []);
+}
+
+// MODEL DEMAND
+
+// The model inputs ('face' and/or 'hand') something in the sketch is using
+// right now. Filters declare theirs in requires (see filters.js) and Data
+// Stream Options in DATA_STREAM_OPTION_REQUIRES (see sketch.js).
+function getUsedModelInputs() {
+    let used = new Set();
+    let useAll = inputs => inputs.forEach(input => used.add(input));
+    
+    // Landmarks drawn from the Display Controls
+    if (showFace) used.add('face');
+    if (showHands) used.add('hand');
+    
+    // Data Stream Options, while they're shown or recorded
+    if (showDataStream || showDataOnVisualization || isSessionRecording()) {
+        for (let option of Object.keys(dataStreamOptions)) {
+            if (dataStreamOptions[option]) used.add(DATA_STREAM_OPTION_REQUIRES[option]);
+        }
+    }
+    // A session with keypoints saves every face and hand
+    if (isSessionRecording() && sessionRecording.includeKeypoints) useAll(['face', 'hand']);
+    
+    // Enabled trigger rules, swiping between filters and record on trigger
+    for (let rule of triggerRules) {
+        if (rule.enabled) useAll(getRuleRequirements(rule));
+    }
+    if (swipeFilterEnabled) used.add('hand');
+    if (recordTrigger.enabled) used.add(getConditionRequirement(recordTrigger.condition));
+    
+    // Calibration samples faces first, then hands
+    if (isCalibrating()) useAll(['face', 'hand']);
+    
+    return used;
+}
+
+// PAUSING
+
+// Stop detecting and drop the model's last faces or hands so they don't stay frozen on screen
+function pauseModel(name) {
+    let entry = modelStates[name];
+    entry.generation++;   // A detection still in progress is ignored when it comes back
+    entry.pendingSince = null;
+    entry.detectionTimes = [];
+    MODEL_DEFINITIONS[name].clear();
+    setModelState(name, 'paused', 'Nothing uses it right now');
+}
+
+// WATCHDOG
+
+// Retry failed models when their delay is up, and catch loads and detections
+// that never finish
+function checkModels() {
+    let now = millis();
+    for (let name of Object.keys(modelStates)) {
+        let entry = modelStates[name];
+        
+        if (entry.retryAt !== null && now >= entry.retryAt) {
+            loadModel(name);
+        } else if (entry.state === 'loading' && now - entry.loadStartedAt > MODEL_LOAD_TIMEOUT) {
+            // Slow isn't the same as broken - keep the load going until the retry
+            failModel(name, `Not ready after ${MODEL_LOAD_TIMEOUT / 1000}s`, 'error', true);
+        } else if (entry.pendingSince !== null && now - entry.pendingSince > MODEL_STALL_TIMEOUT) {
+            failModel(name, `No results for ${MODEL_STALL_TIMEOUT / 1000}s`, 'stalled');
+        }
+    }
+}
+
+// STATUS PANEL
+
+// One line per model with its state - called every frame, only redrawn when it changes
+function updateModelStatusPanel() {
+    let panel = document.getElementById('modelStatus');
+    if (!panel) return;
+    
+    let html = Object.keys(MODEL_DEFINITIONS).map(name => {
+        let entry = modelStates[name];
+        return `<div class="model-status-row">` +
+            `<span class="model-status-name">${MODEL_DEFINITIONS[name].label}</span>` +
+            `<span class="model-state model-state-${entry.state}">${MODEL_STATES[entry.state]}</span>` +
+            `<span class="model-status-detail">${getModelStatusDetail(entry)}</span>` +
+            `</div>`;
+    }).join('');
+    
+    if (html !== lastModelStatusHtml) {
+        panel.innerHTML = html;
+        lastModelStatusHtml = html;
+    }
+}
+
+function getModelStatusDetail(entry) {
+    let now = millis();
+    if (entry.retryAt !== null) {
+        let seconds = Math.max(0, Math.ceil((entry.retryAt - now) / 1000));
+        return `${entry.detail} - retrying in ${seconds}s`;
+    }
+    if (entry.state === 'running' && !entry.detail) {
+        return `${entry.detectionTimes.length} detections/s`;
+    }
+    if (entry.state === 'loading') {
+        let seconds = Math.floor((now - entry.loadStartedAt) / 1000);
+        return entry.detail ? `${entry.detail}, ${seconds}s` : `${seconds}s`;
+    }
+    return entry.detail;
+}
@@ -0,0 +1,372 @@
+// MOTION GESTURES
+//
+// Everything else in the sketch looks at a single frame. This keeps a short
+// trajectory (wrist and index fingertip) for every tracked hand and looks for
+// motion gestures in it:
+// - swipeLeft / swipeRight / swipeUp / swipeDown
+// - wave
+// - circleClockwise / circleCounterClockwise (drawn with the index finger)
+// - push (hand moving toward the camera)
+//
+// Distances are measured in palm sizes and speeds in palm sizes per second,
+// so the gestures work at any distance from the camera. Recognised gestures
+// are emitted as events - subscribe with onGesture('swipeLeft', callback).
+
+// Every gesture this file recognises, with a readable label
+const MOTION_GESTURES = {
+    swipeLeft: 'Swipe Left',
+    swipeRight: 'Swipe Right',
+    swipeUp: 'Swipe Up',
+    swipeDown: 'Swipe Down',
+    wave: 'Wave',
+    circleClockwise: 'Circle Clockwise',
+    circleCounterClockwise: 'Circle Counter-Clockwise',
+    push: 'Push'
+};
+
+// How much trajectory to keep per hand (ms)
+const TRAJECTORY_DURATION = 1500;
+
+// Swipes: fast, mostly straight movement
+const SWIPE_WINDOW = 350;          // Look at the last 350ms of movement
+const SWIPE_MIN_DISTANCE = 2.0;    // Palm sizes
+const SWIPE_MIN_VELOCITY = 5.0;    // Palm sizes per second
+const SWIPE_MIN_STRAIGHTNESS = 2.0; // Main axis movement / cross axis movement
+
+// Waves: side to side direction changes
+const WAVE_WINDOW = 1200;
+const WAVE_MIN_REVERSALS = 3;      // Direction changes needed
+const WAVE_MIN_AMPLITUDE = 0.5;    // Palm sizes per stroke
+const WAVE_MIN_VELOCITY = 1.5;     // Palm sizes per second
+
+// Circles: the index fingertip turning around its own center
+const CIRCLE_WINDOW = 1500;
+const CIRCLE_MIN_TURN = Math.PI * 2 * 0.9; // Nearly a full turn
+const CIRCLE_MIN_RADIUS = 0.4;             // Palm sizes
+const CIRCLE_MAX_RADIUS_VARIATION = 0.45;  // Spread of the radius / mean radius
+
+// Pushes: the palm getting bigger quickly without moving sideways much
+const PUSH_WINDOW = 400;
+const PUSH_MIN_GROWTH = 1.25;      // Palm size grows by 25%
+const PUSH_MAX_DRIFT = 1.0;        // Palm sizes of sideways movement
+
+// Ignore new gestures from the same hand for a moment after one fires
+const GESTURE_COOLDOWN = 600;
+
+// How many recent gesture events to keep for the data stream
+const GESTURE_HISTORY_LENGTH = 8;
+
+// Trajectory samples per hand id: [{ time, wrist, indexTip, palmSize }]
+let handTrajectories = {};
+// When each hand last fired a gesture, by hand id
+let lastGestureTimes = {};
+// Most recent gesture events, newest first
+let gestureHistory = [];
+// Subscribers by gesture name ('*' gets every gesture)
+let gestureListeners = {};
+
+// GESTURE EVENTS
+
+// Subscribe to a gesture by name, or '*' for all of them
+// The callback gets { gesture, id, side, label, timestamp, ... }
+function onGesture(name, callback) {
+    if (!gestureListeners[name]) gestureListeners[name] = [];
+    gestureListeners[name].push(callback);
+}
+
+function emitGesture(event) {
+    gestureHistory.unshift(event);
+    gestureHistory.length = Math.min(gestureHistory.length, GESTURE_HISTORY_LENGTH);
+    
+    let listeners = (gestureListeners[event.gesture] || []).concat(gestureListeners['*'] || []);
+    for (let callback of listeners) {
+        callback(event);
+    }
+}
+
+// When the named gesture last fired (optionally for one id), or null
+function getLastGestureTime(name, id) {
+    let event = gestureHistory.find(e => e.gesture === name && (id === undefined || e.id === id));
+    return event ? event.timestamp : null;
+}
+
+// TRAJECTORIES
+
+// Called once per frame from draw() with the latest hands
+function updateMotionGestures() {
+    let now = millis();
+    let seenIds = new Set();
+    
+    for (let hand of hands) {
+        if (!hand.keypoints || !hand.keypoints[0] || !hand.keypoints[8]) continue;
+        let palmSize = getPalmSize(hand);
+        if (palmSize === 0) continue;
+        
+        seenIds.add(String(hand.id));
+        if (!handTrajectories[hand.id]) handTrajectories[hand.id] = [];
+        let trajectory = handTrajectories[hand.id];
+        
+        trajectory.push({
+            time: now,
+            wrist: { x: hand.keypoints[0].x, y: hand.keypoints[0].y },
+            indexTip: { x: hand.keypoints[8].x, y: hand.keypoints[8].y },
+            palmSize: palmSize
+        });
+        
+        // Drop samples that are too old to matter
+        while (trajectory.length > 0 && now - trajectory[0].time > TRAJECTORY_DURATION) {
+            trajectory.shift();
+        }
+        
+        if (lastGestureTimes[hand.id] !== undefined && now - lastGestureTimes[hand.id] < GESTURE_COOLDOWN) {
+            continue;
+        }
+        
+        let recognised = recognizeMotionGesture(trajectory, now);
+        if (recognised) {
+            lastGestureTimes[hand.id] = now;
+            // Start fresh so the same movement isn't recognised twice
+            handTrajectories[hand.id] = [];
+            emitGesture(Object.assign({
+                id: hand.id,
+                side: hand.side,
+                label: getHandLabel(hand),
+                timestamp: now
+            }, recognised));
+        }
+    }
+    
+    // Forget hands that left the frame
+    for (let id of Object.keys(handTrajectories)) {
+        if (!seenIds.has(id)) {
+            delete handTrajectories[id];
+            delete lastGestureTimes[id];
+        }
+    }
+}
+
+// Samples from the last `duration` ms of a trajectory
+function getRecentSamples(trajectory, now, duration) {
+    return trajectory.filter(sample => now - sample.time <= duration);
+}
+
+// Average palm size over some samples, used to normalise distances
+function getAveragePalmSize(samples) {
+    return samples.reduce((total, sample) => total + sample.palmSize, 0) / samples.length;
+}
+
+// Try each recognizer in turn - returns { gesture, ... } or null
+function recognizeMotionGesture(trajectory, now) {
+    return recognizeCircle(trajectory, now) ||
+           recognizeWave(trajectory, now) ||
+           recognizePush(trajectory, now) ||
+           recognizeSwipe(trajectory, now);
+}
+
+// RECOGNIZERS
+
+function recognizeSwipe(trajectory, now) {
+    let samples = getRecentSamples(trajectory, now, SWIPE_WINDOW);
+    if (samples.length < 3) return null;
+    
+    let first = samples[0];
+    let last = samples[samples.length - 1];
+    let elapsedSeconds = (last.time - first.time) / 1000;
+    if (elapsedSeconds <= 0) return null;
+    
+    let palmSize = getAveragePalmSize(samples);
+    let dx = (last.wrist.x - first.wrist.x) / palmSize;
+    let dy = (last.wrist.y - first.wrist.y) / palmSize;
+    let distance = Math.sqrt(dx * dx + dy * dy);
+    let velocity = distance / elapsedSeconds;
+    
+    if (distance < SWIPE_MIN_DISTANCE || velocity < SWIPE_MIN_VELOCITY) return null;
+    
+    let horizontal = Math.abs(dx) > Math.abs(dy);
+    let mainAxis = horizontal ? Math.abs(dx) : Math.abs(dy);
+    let crossAxis = horizontal ? Math.abs(dy) : Math.abs(dx);
+    if (mainAxis < crossAxis * SWIPE_MIN_STRAIGHTNESS) return null;
+    
+    let gesture;
+    if (horizontal) {
+        gesture = dx > 0 ? 'swipeRight' : 'swipeLeft';
+    } else {
+        gesture = dy > 0 ? 'swipeDown' : 'swipeUp';
+    }
+    return { gesture: gesture, velocity: velocity, distance: distance };
+}
+
+function recognizeWave(trajectory, now) {
+    let samples = getRecentSamples(trajectory, now, WAVE_WINDOW);
+    if (samples.length < 6) return null;
+    
+    let palmSize = getAveragePalmSize(samples);
+    
+    // Split the horizontal movement into strokes and count the ones that are big enough
+    let reversals = 0;
+    let direction = 0;
+    let strokeStart = samples[0].wrist.x;
+    let totalDistance = 0;
+    
+    for (let i = 1; i < samples.length; i++) {
+        let step = samples[i].wrist.x - samples[i - 1].wrist.x;
+        totalDistance += Math.abs(step);
+        let stepDirection = Math.sign(step);
+        if (stepDirection === 0) continue;
+        
+        if (direction !== 0 && stepDirection !== direction) {
+            let amplitude = Math.abs(samples[i - 1].wrist.x - strokeStart) / palmSize;
+            if (amplitude >= WAVE_MIN_AMPLITUDE) {
+                reversals++;
+                strokeStart = samples[i - 1].wrist.x;
+                direction = stepDirection;
+            }
+        } else if (direction === 0) {
+            direction = stepDirection;
+        }
+    }
+    
+    let elapsedSeconds = (samples[samples.length - 1].time - samples[0].time) / 1000;
+    let velocity = elapsedSeconds > 0 ? totalDistance / palmSize / elapsedSeconds : 0;
+    
+    if (reversals >= WAVE_MIN_REVERSALS && velocity >= WAVE_MIN_VELOCITY) {
+        return { gesture: 'wave', velocity: velocity, reversals: reversals };
+    }
+    return null;
+}
+
+function recognizeCircle(trajectory, now) {
+    let samples = getRecentSamples(trajectory, now, CIRCLE_WINDOW);
+    if (samples.length < 10) return null;
+    
+    let palmSize = getAveragePalmSize(samples);
+    
+    // Center of the fingertip path
+    let centerX = samples.reduce((total, sample) => total + sample.indexTip.x, 0) / samples.length;
+    let centerY = samples.reduce((total, sample) => total + sample.indexTip.y, 0) / samples.length;
+    
+    // Radius should be big enough and roughly constant
+    let radii = samples.map(sample => dist(sample.indexTip.x, sample.indexTip.y, centerX, centerY) / palmSize);
+    let meanRadius = radii.reduce((total, radius) => total + radius, 0) / radii.length;
+    if (meanRadius < CIRCLE_MIN_RADIUS) return null;
+    
+    let variance = radii.reduce((total, radius) => total + (radius - meanRadius) * (radius - meanRadius), 0) / radii.length;
+    if (Math.sqrt(variance) / meanRadius > CIRCLE_MAX_RADIUS_VARIATION) return null;
+    
+    // Add up how far the fingertip turned around the center
+    let totalTurn = 0;
+    let previousAngle = atan2(samples[0].indexTip.y - centerY, samples[0].indexTip.x - centerX);
+    for (let i = 1; i < samples.length; i++) {
+        let angle = atan2(samples[i].indexTip.y - centerY, samples[i].indexTip.x - centerX);
+        let turn = angle - previousAngle;
+        // Unwrap across the -PI/PI boundary
+        if (turn > Math.PI) turn -= Math.PI * 2;
+        if (turn < -Math.PI) turn += Math.PI * 2;
+        totalTurn += turn;
+        previousAngle = angle;
+    }
+    
+    if (Math.abs(totalTurn) < CIRCLE_MIN_TURN) return null;
+    
+    let elapsedSeconds = (samples[samples.length - 1].time - samples[0].time) / 1000;
+    let velocity = elapsedSeconds > 0 ? Math.abs(totalTurn) * meanRadius / elapsedSeconds : 0;
+    
+    // Canvas y points down, so a positive turn is clockwise on screen
+    return {
+        gesture: totalTurn > 0 ? 'circleClockwise' : 'circleCounterClockwise',
+        velocity: velocity,
+        radius: meanRadius
+    };
+}
+
+function recognizePush(trajectory, now) {
+    let samples = getRecentSamples(trajectory, now, PUSH_WINDOW);
+    if (samples.length < 3) return null;
+    
+    let first = samples[0];
+    let last = samples[samples.length - 1];
+    let growth = last.palmSize / first.palmSize;
+    if (growth < PUSH_MIN_GROWTH) return null;
+    
+    let drift = dist(first.wrist.x, first.wrist.y, last.wrist.x, last.wrist.y) / first.palmSize;
+    if (drift > PUSH_MAX_DRIFT) return null;
+    
+    let elapsedSeconds = (last.time - first.time) / 1000;
+    return { gesture: 'push', velocity: elapsedSeconds > 0 ? (growth - 1) / elapsedSeconds : 0 };
+}
+
+// SWIPE TO CHANGE FILTER
+
+// Filters swipes step through, as sets of trigger rules (by rule id) to switch on
+const SWIPE_FILTER_CYCLE = [
+    { name: 'Cat Ears', rules: ['catEars'] },
+    { name: 'Whiskers', rules: ['whiskers'] },
+    { name: 'Eyelashes', rules: ['eyelashes'] },
+    { name: 'Red Lips', rules: ['redLips'] },
+    { name: 'Full Cat', rules: ['catEars', 'whiskers', 'eyelashes', 'redLips'] },
+    // Sprite filters from assets/filters/ - skipped over if they didn't load
+    { name: 'Dog', rules: ['dog'] },
+    { name: 'Bunny', rules: ['bunny'] },
+    { name: 'Fox', rules: ['fox'] },
+    { name: 'No Filter', rules: [] }
+];
+
+// How long (ms) the filter name stays on screen after a swipe
+const SWIPE_FILTER_LABEL_TIME = 1200;
+
+let swipeFilterEnabled = false;
+let swipeFilterIndex = SWIPE_FILTER_CYCLE.length - 1; // Start at "No Filter"
+let swipeFilterChangedAt = null;
+
+// Swipe right for the next filter, left for the previous one
+function setupSwipeFilterCycle() {
+    onGesture('swipeRight', () => {
+        if (swipeFilterEnabled) stepSwipeFilter(1);
+    });
+    onGesture('swipeLeft', () => {
+        if (swipeFilterEnabled) stepSwipeFilter(-1);
+    });
+}
+
+function stepSwipeFilter(step) {
+    let count = SWIPE_FILTER_CYCLE.length;
+    for (let tries = 0; tries < count; tries++) {
+        swipeFilterIndex = (swipeFilterIndex + step + count) % count;
+        if (isSwipeFilterAvailable(SWIPE_FILTER_CYCLE[swipeFilterIndex])) break;
+    }
+    swipeFilterChangedAt = millis();
+    applySwipeFilter(SWIPE_FILTER_CYCLE[swipeFilterIndex]);
+}
+
+// "No Filter" always is, the others need at least one of their rules to exist
+function isSwipeFilterAvailable(filter) {
+    return filter.rules.length === 0 || filter.rules.some(id => triggerRules.some(rule => rule.id === id));
+}
+
+// Switch on the rules for this filter and switch off the rest of the cycle
+function applySwipeFilter(filter) {
+    let allRules = new Set();
+    for (let entry of SWIPE_FILTER_CYCLE) {
+        entry.rules.forEach(id => allRules.add(id));
+    }
+    
+    for (let id of allRules) {
+        setRuleEnabled(id, filter.rules.includes(id));
+    }
+}
+
+// Show the new filter's name for a moment after each swipe
+function drawSwipeFilterLabel() {
+    if (swipeFilterChangedAt === null || millis() - swipeFilterChangedAt > SWIPE_FILTER_LABEL_TIME) return;
+    
+    let fade = map(millis() - swipeFilterChangedAt, 0, SWIPE_FILTER_LABEL_TIME, 255, 0);
+    push();
+    fill(255, 255, 255, fade);
+    stroke(0, fade);
+    strokeWeight(3);
+    textAlign(CENTER, BOTTOM);
+    textSize(32);
+    textStyle(BOLD);
+    text(SWIPE_FILTER_CYCLE[swipeFilterIndex].name, width / 2, height - 30);
+    pop();
+}
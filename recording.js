@@ -0,0 +1,275 @@
+// RECORDING
+//
+// Saves what the canvas shows - video, filters and every overlay:
+// - WebM video with MediaRecorder (start/stop, or a fixed-length clip)
+// - GIF clips with p5's saveGif()
+// - PNG snapshots after a short countdown
+//
+// "Record on trigger" starts a clip by itself when a chosen condition (any
+// rule condition - a wink, a nod, a swipe...) becomes true.
+
+const RECORDING_FPS = 30;
+const SNAPSHOT_COUNTDOWN = 3000;     // ms before a snapshot is taken
+const RECORDING_FILE_PREFIX = 'face-filter';
+
+// Video codecs to try, best first - browsers support different ones
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+let mediaRecorder = null;
+let recordedChunks = [];
+let recordingStartedAt = null;
+let recordingStopAt = null;          // Set for fixed-length clips
+let gifRecording = false;
+let snapshotCountdownStart = null;
+let lastRecordingStatusSecond = null;
+
+// Record on trigger settings
+let recordTrigger = {
+    enabled: false,
+    condition: 'wink',
+    format: 'webm',                  // 'webm' or 'gif'
+    duration: 5                      // Seconds
+};
+let recordTriggerWasMet = false;
+
+function isRecording() {
+    return mediaRecorder !== null || gifRecording;
+}
+
+// A file name like face-filter-2024-05-01-12-30-05.webm
+function getRecordingFileName(extension) {
+    let stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    return `${RECORDING_FILE_PREFIX}-${stamp}${extension ? '.' + extension : ''}`;
+}
+
+function downloadBlob(blob, fileName) {
+    let url = URL.createObjectURL(blob);
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before freeing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// WEBM VIDEO
+
+// Start recording the canvas - stops by itself after duration seconds if given
+function startRecording(duration) {
+    if (isRecording()) return;
+    if (typeof MediaRecorder === 'undefined' || !canvas || !canvas.elt.captureStream) {
+        updateRecordingStatus("❌ This browser can't record the canvas");
+        return;
+    }
+    
+    let mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    let stream = canvas.elt.captureStream(RECORDING_FPS);
+    try {
+        mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType: mimeType } : {});
+    } catch (error) {
+        console.error("Error starting the recorder:", error);
+        updateRecordingStatus("❌ Couldn't start recording");
+        mediaRecorder = null;
+        return;
+    }
+    
+    recordedChunks = [];
+    mediaRecorder.ondataavailable = event => {
+        if (event.data && event.data.size > 0) recordedChunks.push(event.data);
+    };
+    mediaRecorder.onstop = () => {
+        let blob = new Blob(recordedChunks, { type: mimeType || 'video/webm' });
+        downloadBlob(blob, getRecordingFileName('webm'));
+        recordedChunks = [];
+        stream.getTracks().forEach(track => track.stop());
+        updateRecordingStatus(`Saved ${((millis() - recordingStartedAt) / 1000).toFixed(1)}s of video`);
+        recordingStartedAt = null;
+    };
+    
+    mediaRecorder.start(1000); // Hand over data every second so long recordings don't pile up
+    recordingStartedAt = millis();
+    recordingStopAt = duration ? recordingStartedAt + duration * 1000 : null;
+    lastRecordingStatusSecond = null;
+    updateRecordingButtons();
+}
+
+function stopRecording() {
+    if (!mediaRecorder) return;
+    mediaRecorder.stop();
+    mediaRecorder = null;
+    recordingStopAt = null;
+    updateRecordingButtons();
+}
+
+// GIF
+
+function recordGif(duration) {
+    if (isRecording()) return;
+    gifRecording = true;
+    updateRecordingButtons();
+    updateRecordingStatus(`Recording a ${duration}s GIF...`);
+    
+    // saveGif records and encodes the next few seconds of frames, then downloads the GIF
+    Promise.resolve(saveGif(getRecordingFileName(), duration, { units: 'seconds' }))
+        .then(() => updateRecordingStatus("Saved GIF"))
+        .catch(error => {
+            console.error("Error saving GIF:", error);
+            updateRecordingStatus("❌ Couldn't save the GIF");
+        })
+        .finally(() => {
+            gifRecording = false;
+            updateRecordingButtons();
+        });
+}
+
+// SNAPSHOTS
+
+function startSnapshotCountdown() {
+    if (snapshotCountdownStart !== null) return;
+    snapshotCountdownStart = millis();
+}
+
+// FRAME UPDATE
+
+// Called every frame from draw(), once everything else has been drawn
+function updateRecording() {
+    let now = millis();
+    
+    // Take the snapshot before the countdown is drawn so it isn't in the picture
+    if (snapshotCountdownStart !== null && now - snapshotCountdownStart >= SNAPSHOT_COUNTDOWN) {
+        snapshotCountdownStart = null;
+        saveCanvas(getRecordingFileName(), 'png');
+        updateRecordingStatus("Saved snapshot");
+    }
+    
+    if (mediaRecorder && recordingStopAt !== null && now >= recordingStopAt) {
+        stopRecording();
+    }
+    
+    // Record on trigger - only when the condition turns true, not every frame it stays true
+    if (recordTrigger.enabled) {
+        let met = isConditionMet({ type: recordTrigger.condition, hand: 'any' }, null);
+        if (met && !recordTriggerWasMet && !isRecording()) {
+            console.log("🎬 Recording triggered by", recordTrigger.condition);
+            if (recordTrigger.format === 'gif') {
+                recordGif(recordTrigger.duration);
+            } else {
+                startRecording(recordTrigger.duration);
+            }
+        }
+        recordTriggerWasMet = met;
+    }
+    
+    // Recording time in the status line, updated once a second
+    if (mediaRecorder) {
+        let second = Math.floor((now - recordingStartedAt) / 1000);
+        if (second !== lastRecordingStatusSecond) {
+            lastRecordingStatusSecond = second;
+            updateRecordingStatus(`● Recording ${second}s${recordingStopAt !== null ? ` of ${recordTrigger.duration}s` : ''}`);
+        }
+    }
+}
+
+// Big countdown in the middle of the canvas before a snapshot
+function drawRecordingOverlay() {
+    if (snapshotCountdownStart === null) return;
+    
+    let secondsLeft = Math.ceil((SNAPSHOT_COUNTDOWN - (millis() - snapshotCountdownStart)) / 1000);
+    push();
+    fill(255);
+    stroke(0);
+    strokeWeight(6);
+    textAlign(CENTER, CENTER);
+    textStyle(BOLD);
+    textSize(120);
+    text(secondsLeft, width / 2, height / 2);
+    pop();
+}
+
+// CONTROLS
+
+function setupRecordingControls() {
+    let recordButton = document.getElementById('recordToggle');
+    if (recordButton) {
+        recordButton.addEventListener('click', () => {
+            if (mediaRecorder) {
+                stopRecording();
+            } else {
+                startRecording();
+            }
+        });
+    }
+    
+    let gifButton = document.getElementById('recordGif');
+    if (gifButton) {
+        gifButton.addEventListener('click', () => recordGif(getRecordingClipLength()));
+    }
+    
+    let snapshotButton = document.getElementById('recordSnapshot');
+    if (snapshotButton) {
+        snapshotButton.addEventListener('click', startSnapshotCountdown);
+    }
+    
+    let triggerToggle = document.getElementById('recordTriggerToggle');
+    if (triggerToggle) {
+        triggerToggle.checked = recordTrigger.enabled;
+        triggerToggle.addEventListener('change', function() {
+            recordTrigger.enabled = this.checked;
+            // Don't fire straight away if the condition is already true
+            recordTriggerWasMet = true;
+        });
+    }
+    
+    // Any rule condition can start a recording
+    let conditionField = document.getElementById('recordTriggerConditionField');
+    if (conditionField) {
+        let conditionSelect = createConditionSelect(recordTrigger.condition);
+        conditionSelect.id = 'recordTriggerCondition';
+        conditionSelect.addEventListener('change', function() {
+            recordTrigger.condition = this.value;
+        });
+        conditionField.appendChild(conditionSelect);
+    }
+    
+    let formatSelect = document.getElementById('recordTriggerFormat');
+    if (formatSelect) {
+        formatSelect.value = recordTrigger.format;
+        formatSelect.addEventListener('change', function() {
+            recordTrigger.format = this.value;
+        });
+    }
+    
+    let lengthInput = document.getElementById('recordClipLength');
+    if (lengthInput) {
+        lengthInput.value = recordTrigger.duration;
+        lengthInput.addEventListener('change', function() {
+            recordTrigger.duration = getRecordingClipLength();
+        });
+    }
+    
+    updateRecordingButtons();
+}
+
+// Clip length in seconds from the control panel (1-30)
+function getRecordingClipLength() {
+    let lengthInput = document.getElementById('recordClipLength');
+    let seconds = lengthInput ? parseFloat(lengthInput.value) : recordTrigger.duration;
+    return constrain(isNaN(seconds) ? recordTrigger.duration : seconds, 1, 30);
+}
+
+function updateRecordingButtons() {
+    let recordButton = document.getElementById('recordToggle');
+    if (recordButton) {
+        recordButton.textContent = mediaRecorder ? 'Stop Recording' : 'Start Recording';
+        recordButton.disabled = gifRecording;
+    }
+    let gifButton = document.getElementById('recordGif');
+    if (gifButton) gifButton.disabled = isRecording();
+}
+
+function updateRecordingStatus(message) {
+    let status = document.getElementById('recordingStatus');
+    if (status) status.textContent = message;
+}
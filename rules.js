@@ -0,0 +1,626 @@
+// TRIGGER RULES
+//
+// A rule pairs a set of conditions with an effect, for example
+// "left eye closed + right hand fist for 500ms -> cat image" or
+// "mouth open -> fire breath". Every enabled rule is checked each frame:
+// - face effects are checked once per face, so each person triggers their own
+// - all conditions must hold together for the rule's hold time
+// - conditions come from the debounced signals, hand poses and motion gestures
+//
+// Effects come from the filter registry (see filters.js).
+// Rules are edited from the Triggers panel, saved in localStorage and can be
+// exported/imported as JSON:
+// { "id": "catWink", "name": "Cat Wink", "enabled": true, "holdTime": 500,
+//   "conditions": [{ "type": "wink" }, { "type": "handFist", "hand": "right" }],
+//   "effect": "catImage" }
+
+const RULES_STORAGE_KEY = 'triggerRules';
+// Filters whose default rule has been added already, so a deleted one doesn't come back
+const RULE_DEFAULTS_STORAGE_KEY = 'triggerRuleDefaults';
+
+// Default rule ids from before every effect was a filter with its own name as the id
+const RENAMED_RULE_IDS = { wink: 'winkText', catEye: 'catImage', mouthWow: 'wowText' };
+
+// How long (ms) a motion gesture keeps its condition true after it happens
+const RULE_GESTURE_TIME = 1000;
+
+// Conditions rules can use. kind says what each one is checked against:
+// 'face' - the face the effect is drawn for
+// 'hand' - any hand, or only the left/right hand (condition.hand)
+// 'gesture' - a motion gesture in the last RULE_GESTURE_TIME ms
+// 'scene' - the whole frame
+const RULE_CONDITIONS = {
+    mouthOpen: { label: 'Mouth open', kind: 'face', test: face => isSignalActive('mouthOpen', face.id) },
+    mouthClosed: { label: 'Mouth closed', kind: 'face', test: face => !isSignalActive('mouthOpen', face.id) },
+    leftEyeClosed: { label: 'Left eye closed', kind: 'face', test: face => !isSignalActive('leftEyeOpen', face.id) },
+    rightEyeClosed: { label: 'Right eye closed', kind: 'face', test: face => !isSignalActive('rightEyeOpen', face.id) },
+    // Blinks don't count - one eye has to stay closed for WINK_MIN_DURATION (see eyeEvents.js)
+    wink: { label: 'Wink (one eye held closed)', kind: 'face', test: face => isWinking(face) },
+    bothEyesClosed: {
+        label: 'Both eyes closed',
+        kind: 'face',
+        test: face => !isSignalActive('leftEyeOpen', face.id) && !isSignalActive('rightEyeOpen', face.id)
+    },
+    handVisible: { label: 'Hand visible', kind: 'hand', test: hand => true },
+    handOpen: { label: 'Hand open', kind: 'hand', test: hand => isSignalActive('handOpen', hand.id) },
+    handFist: { label: 'Hand fist', kind: 'hand', test: hand => isSignalActive('handFist', hand.id) },
+    bothHands: { label: 'Both hands visible', kind: 'scene', test: () => hands.length >= 2 }
+};
+
+// Every expression, gaze direction, head tilt and nod/shake, hand pose and
+// motion gesture can be a condition too
+for (let expressionName of Object.keys(EXPRESSIONS)) {
+    RULE_CONDITIONS[expressionName] = {
+        label: EXPRESSIONS[expressionName].label,
+        kind: 'face',
+        test: face => isSignalActive(expressionName, face.id)
+    };
+}
+for (let direction of Object.keys(GAZE_DIRECTIONS)) {
+    let signalName = getGazeSignalName(direction);
+    RULE_CONDITIONS[signalName] = {
+        label: GAZE_DIRECTIONS[direction],
+        kind: 'face',
+        test: face => isSignalActive(signalName, face.id)
+    };
+}
+for (let tilt of Object.keys(HEAD_TILTS)) {
+    RULE_CONDITIONS[tilt] = {
+        label: HEAD_TILTS[tilt],
+        kind: 'face',
+        test: face => isSignalActive(tilt, face.id)
+    };
+}
+// Head gestures and eye events count for RULE_GESTURE_TIME ms, like the hand motion gestures
+for (let eventType of ['blink', 'doubleBlink', 'longClose']) {
+    RULE_CONDITIONS[eventType] = {
+        label: EYE_EVENTS[eventType],
+        kind: 'face',
+        test: face => {
+            let time = getLastEyeEventTime(eventType, face.id);
+            return time !== null && millis() - time <= RULE_GESTURE_TIME;
+        }
+    };
+}
+for (let gestureName of Object.keys(HEAD_GESTURES)) {
+    RULE_CONDITIONS[gestureName] = {
+        label: `${HEAD_GESTURES[gestureName]} gesture`,
+        kind: 'face',
+        test: face => {
+            let time = getLastGestureTime(gestureName, face.id);
+            return time !== null && millis() - time <= RULE_GESTURE_TIME;
+        }
+    };
+}
+for (let poseName of Object.keys(HAND_POSES)) {
+    RULE_CONDITIONS[`${poseName}Pose`] = {
+        label: `${HAND_POSES[poseName].label} pose`,
+        kind: 'hand',
+        test: hand => isSignalActive(`${poseName}Pose`, hand.id)
+    };
+}
+for (let gestureName of Object.keys(MOTION_GESTURES)) {
+    RULE_CONDITIONS[gestureName] = {
+        label: `${MOTION_GESTURES[gestureName]} gesture`,
+        kind: 'gesture',
+        gesture: gestureName
+    };
+}
+
+// Effects are the registered filters (see filters.js). Each filter's default
+// rule uses the conditions it declares as its trigger.
+function getDefaultRules() {
+    return Object.keys(filterRegistry).map(name => ({
+        id: name,
+        name: filterRegistry[name].label,
+        enabled: false,
+        holdTime: 0,
+        conditions: filterRegistry[name].trigger,
+        effect: name
+    }));
+}
+
+let triggerRules = [];
+// Saved rules whose effect or conditions don't exist (a sprite filter that
+// didn't load, a renamed filter...) - kept aside so saving doesn't lose them
+let unusableTriggerRules = [];
+// Filter names whose default rule has been added (see RULE_DEFAULTS_STORAGE_KEY)
+let ruleDefaultsAdded = new Set();
+// When each rule's conditions started holding, by rule id and face id ('scene' for scene effects)
+let ruleStates = {};
+// Rule being edited in the rule editor, null for a new rule
+let editingRuleId = null;
+
+// RUNNING RULES
+
+// Called once per frame from draw() - checks every enabled rule and draws its effect
+function runTriggerRules() {
+    let now = millis();
+    
+    for (let rule of triggerRules) {
+        let filter = getFilter(rule.effect);
+        if (!rule.enabled || !filter || !filterRequirementsMet(filter)) continue;
+        
+        if (!ruleStates[rule.id]) ruleStates[rule.id] = {};
+        let states = ruleStates[rule.id];
+        let seenKeys = new Set();
+        let targets = filter.scope === 'face' ? faces : [null];
+        
+        targets.forEach((face, slot) => {
+            let key = face ? String(face.id) : 'scene';
+            seenKeys.add(key);
+            
+            let met = rule.conditions.every(condition => isConditionMet(condition, face));
+            if (!met) {
+                delete states[key];
+                return;
+            }
+            
+            if (states[key] === undefined) states[key] = now;
+            let heldFor = now - states[key];
+            if (heldFor >= rule.holdTime) {
+                filter.draw(face, slot, heldFor - rule.holdTime, getFilterParams(rule.effect));
+            }
+        });
+        
+        // Forget faces that left the frame
+        for (let key of Object.keys(states)) {
+            if (!seenKeys.has(key)) delete states[key];
+        }
+    }
+}
+
+// Is one condition true - for this face, or for any face when face is null?
+function isConditionMet(condition, face) {
+    let definition = RULE_CONDITIONS[condition.type];
+    if (!definition) return false;
+    
+    if (definition.kind === 'face') {
+        return face ? definition.test(face) : faces.some(f => definition.test(f));
+    }
+    if (definition.kind === 'hand') {
+        return hands.some(hand => handMatchesSide(hand.side, condition.hand) && definition.test(hand));
+    }
+    if (definition.kind === 'gesture') {
+        return gestureHistory.some(event => event.gesture === definition.gesture &&
+            millis() - event.timestamp <= RULE_GESTURE_TIME &&
+            handMatchesSide(event.side, condition.hand));
+    }
+    return definition.test();
+}
+
+// Models the rule needs results from ('face' and/or 'hand'): its effect's plus its conditions'
+function getRuleRequirements(rule) {
+    let filter = getFilter(rule.effect);
+    let requires = new Set(filter ? filter.requires : []);
+    for (let condition of rule.conditions) {
+        let input = getConditionRequirement(condition.type);
+        if (input) requires.add(input);
+    }
+    return [...requires];
+}
+
+// 'face' for face conditions and 'hand' for every other kind (they're all about hands)
+function getConditionRequirement(type) {
+    let definition = RULE_CONDITIONS[type];
+    if (!definition) return null;
+    return definition.kind === 'face' ? 'face' : 'hand';
+}
+
+// condition.hand is 'left', 'right' or 'any' (missing means any)
+function handMatchesSide(side, wanted) {
+    if (!wanted || wanted === 'any') return true;
+    return side !== null && side !== undefined && side.toLowerCase() === wanted;
+}
+
+function setRuleEnabled(id, enabled) {
+    let rule = triggerRules.find(r => r.id === id);
+    if (!rule || rule.enabled === enabled) return;
+    
+    rule.enabled = enabled;
+    delete ruleStates[id];
+    if (!enabled) resetFilter(rule.effect);
+    saveTriggerRules();
+    refreshRuleList();
+}
+
+// RULE STORAGE AND JSON
+
+// Check a rule read from JSON and fill in missing fields - throws if it can't be used
+function normalizeRule(rule, usedIds) {
+    if (!rule || typeof rule !== 'object') throw new Error("Each rule must be an object");
+    if (!getFilter(rule.effect)) throw new Error(`Unknown effect "${rule.effect}"`);
+    
+    let conditions = rule.conditions || [];
+    if (!Array.isArray(conditions)) throw new Error(`Rule "${rule.name}" conditions must be a list`);
+    conditions = conditions.map(condition => {
+        let definition = RULE_CONDITIONS[condition && condition.type];
+        if (!definition) throw new Error(`Unknown condition "${condition && condition.type}"`);
+        let normalized = { type: condition.type };
+        if (definition.kind === 'hand' || definition.kind === 'gesture') {
+            normalized.hand = ['left', 'right'].includes(condition.hand) ? condition.hand : 'any';
+        }
+        return normalized;
+    });
+    
+    let name = String(rule.name || getFilter(rule.effect).label);
+    let id = rule.id ? String(rule.id) : makeRuleId(name, usedIds);
+    if (usedIds.has(id)) id = makeRuleId(id, usedIds);
+    usedIds.add(id);
+    
+    return {
+        id: id,
+        name: name,
+        enabled: Boolean(rule.enabled),
+        holdTime: Math.max(0, Number(rule.holdTime) || 0),
+        conditions: conditions,
+        effect: rule.effect
+    };
+}
+
+// Turn a list of rules from JSON into checked rules - throws on the first bad one
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) throw new Error("Rules JSON must be a list of rules");
+    let usedIds = new Set();
+    return rules.map(rule => normalizeRule(rule, usedIds));
+}
+
+// A unique id based on the rule name ("My Rule" -> "myRule", "myRule2"...)
+function makeRuleId(name, usedIds) {
+    let base = String(name).replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => next ? next.toUpperCase() : '');
+    base = base.charAt(0).toLowerCase() + base.slice(1) || 'rule';
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = base + n;
+    return id;
+}
+
+// Saved rules that can't be used are set aside rather than throwing, and every
+// filter registered since the rules were saved gets its default rule
+function loadTriggerRules() {
+    let saved = null;
+    let defaultsAdded = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY));
+        defaultsAdded = JSON.parse(localStorage.getItem(RULE_DEFAULTS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error("Error reading trigger rules, using the defaults:", error);
+    }
+    
+    triggerRules = [];
+    unusableTriggerRules = [];
+    ruleDefaultsAdded = new Set(Array.isArray(defaultsAdded) ? defaultsAdded : []);
+    if (Array.isArray(saved)) {
+        addSavedRules(saved.map(migrateRule));
+        // Rules saved before the defaults were tracked - their filters' defaults were there already
+        saved.forEach(rule => { if (rule && rule.effect) ruleDefaultsAdded.add(rule.effect); });
+    }
+    addMissingDefaultRules();
+    ruleStates = {};
+}
+
+function migrateRule(rule) {
+    if (!rule || !RENAMED_RULE_IDS[rule.id]) return rule;
+    return Object.assign({}, rule, { id: RENAMED_RULE_IDS[rule.id] });
+}
+
+// Add the rules that can be used, set the rest aside
+function addSavedRules(rules) {
+    let usedIds = new Set(triggerRules.map(rule => rule.id));
+    for (let rule of rules) {
+        try {
+            triggerRules.push(normalizeRule(rule, usedIds));
+        } catch (error) {
+            console.warn(`Keeping saved rule "${rule && rule.name}" aside: ${error.message}`);
+            unusableTriggerRules.push(rule);
+        }
+    }
+}
+
+// Default rules for filters that have never had one
+function addMissingDefaultRules() {
+    let usedIds = new Set(triggerRules.map(rule => rule.id));
+    for (let rule of getDefaultRules()) {
+        if (ruleDefaultsAdded.has(rule.effect)) continue;
+        try {
+            triggerRules.push(normalizeRule(rule, usedIds));
+        } catch (error) {
+            console.error(`Default rule for "${rule.effect}" can't be used:`, error);
+        }
+        ruleDefaultsAdded.add(rule.effect);
+    }
+}
+
+// Filters registered after the rules were loaded (see setupNewFilters) - use
+// the saved rules that were waiting for them and add their default rules
+function addRulesForNewFilters(names) {
+    let waiting = unusableTriggerRules;
+    unusableTriggerRules = [];
+    addSavedRules(waiting);
+    addMissingDefaultRules();
+    addEffectOptions(names);
+    refreshRuleList();
+}
+
+// Returns false if the browser wouldn't store them (storage full or disabled) -
+// the rules still work until the page is reloaded
+function saveTriggerRules() {
+    try {
+        localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(triggerRules.concat(unusableTriggerRules)));
+        localStorage.setItem(RULE_DEFAULTS_STORAGE_KEY, JSON.stringify([...ruleDefaultsAdded]));
+        return true;
+    } catch (error) {
+        console.error("Error saving trigger rules:", error);
+        updateRuleStatus("Couldn't save the rules - changes will be lost when the page is reloaded");
+        return false;
+    }
+}
+
+function exportTriggerRules() {
+    return JSON.stringify(triggerRules, null, 2);
+}
+
+// Replace every rule with the ones in the JSON text - throws if the JSON is invalid,
+// returns false if the new rules couldn't be saved
+function importTriggerRules(json) {
+    let rules = normalizeRules(JSON.parse(json));
+    stopAllRuleEffects();
+    triggerRules = rules;
+    unusableTriggerRules = [];
+    ruleStates = {};
+    refreshRuleList();
+    return saveTriggerRules();
+}
+
+function resetTriggerRules() {
+    stopAllRuleEffects();
+    triggerRules = [];
+    unusableTriggerRules = [];
+    ruleDefaultsAdded = new Set();
+    addMissingDefaultRules();
+    ruleStates = {};
+    refreshRuleList();
+    return saveTriggerRules();
+}
+
+function stopAllRuleEffects() {
+    for (let rule of triggerRules) {
+        if (rule.enabled) resetFilter(rule.effect);
+    }
+}
+
+// Human readable version of a rule, e.g. "Right hand: Hand fist + Wink for 500ms -> Cat image"
+function describeRule(rule) {
+    let conditions = rule.conditions.map(condition => {
+        let definition = RULE_CONDITIONS[condition.type];
+        let label = definition ? definition.label : condition.type;
+        return condition.hand && condition.hand !== 'any' ? `${condition.hand} hand: ${label}` : label;
+    });
+    let when = conditions.length > 0 ? conditions.join(' + ') : 'Always';
+    if (rule.holdTime > 0) when += ` for ${rule.holdTime}ms`;
+    let effect = getFilter(rule.effect) ? getFilter(rule.effect).label : rule.effect;
+    return `${when} → ${effect}`;
+}
+
+// RULE CONTROLS
+
+function setupRuleControls() {
+    loadTriggerRules();
+    refreshRuleList();
+    
+    addEffectOptions(Object.keys(filterRegistry));
+    clearRuleEditor();
+    
+    addRuleButtonListener('ruleAddCondition', () => addConditionRow({ type: 'mouthOpen' }));
+    addRuleButtonListener('ruleSave', saveRuleFromEditor);
+    addRuleButtonListener('ruleNew', clearRuleEditor);
+    
+    addRuleButtonListener('rulesExport', () => {
+        document.getElementById('rulesJson').value = exportTriggerRules();
+        updateRuleStatus("Rules exported - copy the JSON above");
+    });
+    addRuleButtonListener('rulesImport', () => {
+        try {
+            if (importTriggerRules(document.getElementById('rulesJson').value)) {
+                updateRuleStatus(`Imported ${triggerRules.length} rules`);
+            }
+        } catch (error) {
+            updateRuleStatus(`Import failed: ${error.message}`);
+        }
+    });
+    addRuleButtonListener('rulesReset', () => {
+        clearRuleEditor();
+        if (resetTriggerRules()) updateRuleStatus("Rules reset to the defaults");
+    });
+}
+
+// Effect choices for the editor
+function addEffectOptions(names) {
+    let effectSelect = document.getElementById('ruleEffect');
+    if (!effectSelect) return;
+    for (let name of names) {
+        let option = document.createElement('option');
+        option.value = name;
+        option.textContent = filterRegistry[name].label;
+        effectSelect.appendChild(option);
+    }
+}
+
+function addRuleButtonListener(elementId, callback) {
+    let button = document.getElementById(elementId);
+    if (button) button.addEventListener('click', callback);
+}
+
+// One toggle per rule, with its description and edit/delete buttons
+function refreshRuleList() {
+    let list = document.getElementById('ruleList');
+    if (!list) return;
+    list.innerHTML = '';
+    
+    for (let rule of triggerRules) {
+        let item = document.createElement('div');
+        item.className = 'rule-item';
+        
+        let toggle = document.createElement('label');
+        toggle.className = 'toggle';
+        let checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = rule.enabled;
+        checkbox.addEventListener('change', function() {
+            setRuleEnabled(rule.id, this.checked);
+        });
+        let label = document.createElement('span');
+        label.className = 'toggle-label';
+        label.textContent = rule.name;
+        toggle.appendChild(checkbox);
+        toggle.appendChild(label);
+        
+        let summary = document.createElement('div');
+        summary.className = 'rule-summary';
+        summary.textContent = describeRule(rule);
+        
+        let actions = document.createElement('div');
+        actions.className = 'rule-actions';
+        let editButton = document.createElement('button');
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => loadRuleIntoEditor(rule));
+        let deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteRule(rule.id));
+        actions.appendChild(editButton);
+        actions.appendChild(deleteButton);
+        
+        item.appendChild(toggle);
+        item.appendChild(summary);
+        item.appendChild(actions);
+        list.appendChild(item);
+    }
+}
+
+function deleteRule(id) {
+    setRuleEnabled(id, false);
+    triggerRules = triggerRules.filter(rule => rule.id !== id);
+    delete ruleStates[id];
+    if (editingRuleId === id) clearRuleEditor();
+    saveTriggerRules();
+    refreshRuleList();
+}
+
+// One editor row: condition type, which hand, remove button
+// A dropdown of every condition, grouped by kind
+function createConditionSelect(selected) {
+    let select = document.createElement('select');
+    let groups = { face: 'Face', hand: 'Hand', gesture: 'Motion Gesture', scene: 'Scene' };
+    for (let kind of Object.keys(groups)) {
+        let group = document.createElement('optgroup');
+        group.label = groups[kind];
+        for (let type of Object.keys(RULE_CONDITIONS)) {
+            if (RULE_CONDITIONS[type].kind !== kind) continue;
+            let option = document.createElement('option');
+            option.value = type;
+            option.textContent = RULE_CONDITIONS[type].label;
+            group.appendChild(option);
+        }
+        select.appendChild(group);
+    }
+    select.value = selected;
+    return select;
+}
+
+function addConditionRow(condition) {
+    let container = document.getElementById('ruleConditions');
+    if (!container) return;
+    
+    let row = document.createElement('div');
+    row.className = 'rule-condition';
+    
+    let typeSelect = createConditionSelect(condition.type);
+    typeSelect.className = 'rule-condition-type';
+    
+    let handSelect = document.createElement('select');
+    handSelect.className = 'rule-condition-hand';
+    for (let side of ['any', 'left', 'right']) {
+        let option = document.createElement('option');
+        option.value = side;
+        option.textContent = side === 'any' ? 'Any hand' : `${side.charAt(0).toUpperCase() + side.slice(1)} hand`;
+        handSelect.appendChild(option);
+    }
+    handSelect.value = condition.hand || 'any';
+    
+    // The hand choice only means something for hand conditions
+    let updateHandSelect = () => {
+        let kind = RULE_CONDITIONS[typeSelect.value].kind;
+        handSelect.disabled = kind !== 'hand' && kind !== 'gesture';
+    };
+    typeSelect.addEventListener('change', updateHandSelect);
+    updateHandSelect();
+    
+    let removeButton = document.createElement('button');
+    removeButton.textContent = '×';
+    removeButton.addEventListener('click', () => row.remove());
+    
+    row.appendChild(typeSelect);
+    row.appendChild(handSelect);
+    row.appendChild(removeButton);
+    container.appendChild(row);
+}
+
+function loadRuleIntoEditor(rule) {
+    editingRuleId = rule.id;
+    document.getElementById('ruleName').value = rule.name;
+    document.getElementById('ruleHoldTime').value = rule.holdTime;
+    document.getElementById('ruleEffect').value = rule.effect;
+    document.getElementById('ruleConditions').innerHTML = '';
+    rule.conditions.forEach(addConditionRow);
+    updateRuleStatus(`Editing "${rule.name}"`);
+}
+
+function clearRuleEditor() {
+    editingRuleId = null;
+    let name = document.getElementById('ruleName');
+    if (name) name.value = '';
+    let holdTime = document.getElementById('ruleHoldTime');
+    if (holdTime) holdTime.value = 0;
+    let conditions = document.getElementById('ruleConditions');
+    if (conditions) conditions.innerHTML = '';
+    updateRuleStatus("New rule - add conditions and pick an effect");
+}
+
+// Build a rule from the editor and add it (or replace the rule being edited)
+function saveRuleFromEditor() {
+    let conditions = [];
+    for (let row of document.querySelectorAll('#ruleConditions .rule-condition')) {
+        conditions.push({
+            type: row.querySelector('.rule-condition-type').value,
+            hand: row.querySelector('.rule-condition-hand').value
+        });
+    }
+    
+    let existing = triggerRules.find(rule => rule.id === editingRuleId);
+    let usedIds = new Set(triggerRules.filter(rule => rule !== existing).map(rule => rule.id));
+    let rule = normalizeRule({
+        id: existing ? existing.id : null,
+        name: document.getElementById('ruleName').value.trim() || 'My Rule',
+        enabled: existing ? existing.enabled : true,
+        holdTime: document.getElementById('ruleHoldTime').value,
+        conditions: conditions,
+        effect: document.getElementById('ruleEffect').value
+    }, usedIds);
+    
+    if (existing) {
+        // Stop the old effect - its state and particles would keep going otherwise
+        if (existing.enabled) resetFilter(existing.effect);
+        triggerRules[triggerRules.indexOf(existing)] = rule;
+        delete ruleStates[rule.id];
+    } else {
+        triggerRules.push(rule);
+    }
+    
+    editingRuleId = rule.id;
+    refreshRuleList();
+    if (saveTriggerRules()) updateRuleStatus(`Saved "${rule.name}"`);
+}
+
+function updateRuleStatus(message) {
+    let status = document.getElementById('ruleStatus');
+    if (status) status.textContent = message;
+}
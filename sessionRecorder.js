@@ -0,0 +1,380 @@
+// SESSION RECORDER
+//
+// Logs the landmark data frame by frame for use outside the sketch - the data
+// stream panel only ever shows the current frame. Every frame of a session
+// keeps a timestamp, each face's and hand's keypoints and the derived values
+// picked in the Data Stream Options (mouth/eye state, wrists, fingertips...).
+//
+// Sessions are saved as:
+// - JSON Lines: one JSON object per frame, { time, timestamp, frame, width, height, faces, hands }
+//   (these can be played back with the Recorded Landmarks input source)
+// - CSV: one row per face or hand per frame, in separate faces and hands files
+//
+// Columns and format are picked when the session starts, so every row has the
+// same ones. Frames are turned into text as they're recorded, and sessions
+// bigger than SESSION_PART_SIZE are downloaded in numbered parts as they go
+// (each part is a complete file on its own).
+// Keypoints are the smoothed landmarks the sketch draws, in canvas pixels
+// (mirrored like the video).
+
+// Keypoint counts for the CSV columns - Face Mesh with refineLandmarks and Hand Pose
+const SESSION_FACE_KEYPOINTS = 478;
+const SESSION_HAND_KEYPOINTS = 21;
+
+// Decimal places kept for positions and other measurements
+const SESSION_PRECISION = 2;
+
+// Lines of text kept as strings before they're moved into a Blob
+const SESSION_FLUSH_LINES = 300;
+// Sessions bigger than this are saved in parts as they're recorded (bytes) -
+// a few minutes of keypoints at 60fps
+const SESSION_PART_SIZE = 100 * 1024 * 1024;
+
+// Derived columns for each Data Stream Option - value(face or hand, events) gets
+// the face or hand and the eye/motion events it had since the last frame
+const SESSION_FACE_COLUMNS = [
+    { option: 'mouthOpen', name: 'mouthOpen', value: face => getMouthState(face).isOpen },
+    { option: 'mouthOpen', name: 'mouthOpenness', value: face => getMouthState(face).openness },
+    { option: 'leftEyeOpen', name: 'leftEyeOpen', value: face => getLeftEyeState(face).isOpen },
+    { option: 'leftEyeOpen', name: 'leftEyeOpenness', value: face => getLeftEyeState(face).openness },
+    { option: 'rightEyeOpen', name: 'rightEyeOpen', value: face => getRightEyeState(face).isOpen },
+    { option: 'rightEyeOpen', name: 'rightEyeOpenness', value: face => getRightEyeState(face).openness },
+    { option: 'noseCenter', name: 'noseX', value: face => getSessionPoint(getNoseCenter(face), 'x') },
+    { option: 'noseCenter', name: 'noseY', value: face => getSessionPoint(getNoseCenter(face), 'y') },
+    { option: 'gaze', name: 'gazeDirection', value: face => getGazeDirection(face) },
+    { option: 'gaze', name: 'gazeX', value: face => getSessionPoint(getGaze(face), 'x') },
+    { option: 'gaze', name: 'gazeY', value: face => getSessionPoint(getGaze(face), 'y') },
+    { option: 'gaze', name: 'leftIrisX', value: face => getSessionPoint(getIrisCenter(face, 'leftEye'), 'x') },
+    { option: 'gaze', name: 'leftIrisY', value: face => getSessionPoint(getIrisCenter(face, 'leftEye'), 'y') },
+    { option: 'gaze', name: 'rightIrisX', value: face => getSessionPoint(getIrisCenter(face, 'rightEye'), 'x') },
+    { option: 'gaze', name: 'rightIrisY', value: face => getSessionPoint(getIrisCenter(face, 'rightEye'), 'y') },
+    { option: 'headPose', name: 'yaw', value: face => getSessionPoint(getHeadAngles(face), 'yaw') },
+    { option: 'headPose', name: 'pitch', value: face => getSessionPoint(getHeadAngles(face), 'pitch') },
+    { option: 'headPose', name: 'roll', value: face => getSessionPoint(getHeadAngles(face), 'roll') },
+    { option: 'headPose', name: 'headGestures', value: (face, events) => events.gestures.join('|') },
+    ...Object.keys(EXPRESSIONS).map(name => (
+        { option: 'expressions', name: name, value: face => getExpression(face, name) }
+    )),
+    { option: 'eyeEvents', name: 'eyeEvents', value: (face, events) => events.eyeEvents.join('|') },
+    ...Object.keys(EYE_EVENTS).map(type => (
+        { option: 'eyeEvents', name: `${type}Count`, value: face => getSessionPoint(getEyeEventCounts(face), type) }
+    )),
+    { option: 'eyeEvents', name: 'blinksPerMinute', value: face => getSessionPoint(getEyeEventStats(face), 'blinksPerMinute') }
+];
+
+const SESSION_FINGERTIPS = { thumb: 4, index: 8, middle: 12, ring: 16, pinky: 20 };
+
+const SESSION_HAND_COLUMNS = [
+    { option: 'wristPosition', name: 'wristX', value: hand => getSessionPoint(hand.keypoints[0], 'x') },
+    { option: 'wristPosition', name: 'wristY', value: hand => getSessionPoint(hand.keypoints[0], 'y') },
+    { option: 'handOpen', name: 'handOpen', value: hand => !isHandFist(hand) },
+    ...Object.keys(SESSION_FINGERTIPS).flatMap(finger => ['x', 'y'].map(axis => (
+        { option: 'fingertipPositions', name: `${finger}${axis.toUpperCase()}`, value: hand => getSessionPoint(hand.keypoints[SESSION_FINGERTIPS[finger]], axis) }
+    ))),
+    { option: 'handGesture', name: 'handGesture', value: hand => {
+        let pose = getHandPose(hand);
+        return pose ? pose.label : null;
+    } },
+    { option: 'motionGesture', name: 'motionGestures', value: (hand, events) => events.gestures.join('|') }
+];
+
+// CSV files - faces and hands have different columns, so each gets its own file
+const SESSION_CSV_TABLES = {
+    faces: { idColumns: ['id'], keypointCount: SESSION_FACE_KEYPOINTS },
+    hands: { idColumns: ['id', 'side'], keypointCount: SESSION_HAND_KEYPOINTS }
+};
+
+let sessionRecording = null;       // The session being recorded, null when stopped
+let sessionFormat = 'jsonl';       // 'jsonl' or 'csv'
+let sessionIncludeKeypoints = true;
+let lastSessionStatusSecond = null;
+
+function isSessionRecording() {
+    return sessionRecording !== null;
+}
+
+// A value from a point or other object, or null if there's no object
+function getSessionPoint(object, key) {
+    return object && object[key] !== undefined ? object[key] : null;
+}
+
+function getIrisCenter(face, eyeName) {
+    let iris = getIrisState(face, eyeName);
+    return iris ? iris.center : null;
+}
+
+function getEyeEventCounts(face) {
+    let stats = getEyeEventStats(face);
+    return stats ? stats.counts : null;
+}
+
+function roundSessionValue(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return value;
+    let factor = Math.pow(10, SESSION_PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+// START / STOP
+
+function startSessionRecording() {
+    if (isSessionRecording()) return;
+    
+    // Only the columns whose Data Stream Option is ticked right now
+    let enabled = column => dataStreamOptions[column.option];
+    sessionRecording = {
+        startedAt: millis(),
+        startTimestamp: Date.now(),
+        baseName: getRecordingFileName(),
+        format: sessionFormat,
+        includeKeypoints: sessionIncludeKeypoints,
+        columns: {
+            faces: SESSION_FACE_COLUMNS.filter(enabled),
+            hands: SESSION_HAND_COLUMNS.filter(enabled)
+        },
+        frameCount: 0,
+        part: 1,
+        // Text of the part being recorded, by file ('session', or 'faces' and 'hands' for CSV)
+        files: {},
+        // Eye and motion events since the last logged frame
+        pendingGestures: [],
+        pendingEyeEvents: []
+    };
+    lastSessionStatusSecond = null;
+    console.log("📝 Session recording started");
+    updateSessionButtons();
+}
+
+// Stop the session and download what hasn't been saved yet
+function stopSessionRecording() {
+    if (!isSessionRecording()) return;
+    let session = sessionRecording;
+    sessionRecording = null;
+    
+    if (session.frameCount === 0) {
+        updateSessionStatus("Nothing recorded");
+    } else {
+        let saved = saveSessionPart(session);
+        let parts = session.part > 1 ? ` in ${session.part} parts` : '';
+        if (session.format === 'csv') {
+            updateSessionStatus(saved.length > 0 || session.part > 1 ?
+                `Saved ${session.frameCount} frames as CSV${parts}` :
+                "No faces or hands in the session");
+        } else {
+            updateSessionStatus(`Saved ${session.frameCount} frames as JSON Lines${parts}`);
+        }
+    }
+    updateSessionButtons();
+}
+
+// FRAME LOGGING
+
+// Called every frame from draw(), after the signals and gestures have updated
+function updateSessionRecording() {
+    if (!isSessionRecording()) return;
+    let session = sessionRecording;
+    let now = millis();
+    
+    let frame = {
+        time: roundSessionValue(now - session.startedAt),
+        timestamp: session.startTimestamp + Math.round(now - session.startedAt),
+        frame: frameCount,
+        // Canvas size, so a replay on a different sized canvas can scale the keypoints
+        width: Math.round(width),
+        height: Math.round(height),
+        faces: faces.map(face => getSessionRow(session, face, session.columns.faces, {
+            // Head gestures and eye events carry the face id
+            gestures: session.pendingGestures.filter(event => HEAD_GESTURES[event.gesture] && event.id === face.id).map(event => event.gesture),
+            eyeEvents: session.pendingEyeEvents.filter(event => event.id === face.id).map(event => event.eye === 'both' ? event.type : `${event.type}:${event.eye}`)
+        })),
+        hands: hands.map(hand => getSessionRow(session, hand, session.columns.hands, {
+            gestures: session.pendingGestures.filter(event => MOTION_GESTURES[event.gesture] && event.id === hand.id).map(event => event.gesture)
+        }))
+    };
+    session.pendingGestures = [];
+    session.pendingEyeEvents = [];
+    
+    // Only the text of the frame is kept, not the frame itself
+    if (session.format === 'csv') {
+        for (let key of Object.keys(SESSION_CSV_TABLES)) {
+            for (let row of frame[key]) {
+                addSessionLine(session, key, getSessionCsvLine(session, key, frame, row));
+            }
+        }
+    } else {
+        addSessionLine(session, 'session', JSON.stringify(frame));
+    }
+    session.frameCount++;
+    
+    // Long sessions are saved in parts as they go, so memory use stays flat
+    // and a crash only loses the part being recorded
+    if (getSessionPartSize(session) >= SESSION_PART_SIZE) {
+        saveSessionPart(session);
+        session.part++;
+    }
+    
+    // Length, frame count and size in the status line, updated once a second
+    let second = Math.floor((now - session.startedAt) / 1000);
+    if (second !== lastSessionStatusSecond) {
+        lastSessionStatusSecond = second;
+        let megabytes = Math.round(getSessionPartSize(session) / (1024 * 1024));
+        let part = session.part > 1 ? `, part ${session.part}` : '';
+        updateSessionStatus(`● Logging ${second}s, ${session.frameCount} frames, ${megabytes} MB${part}`);
+    }
+}
+
+// One face or hand's values: { id, side (hands), columns..., keypoints }
+function getSessionRow(session, subject, columns, events) {
+    let row = { id: subject.id };
+    if (subject.side !== undefined) row.side = subject.side || null;
+    
+    for (let column of columns) {
+        let value = subject.keypoints ? column.value(subject, events) : null;
+        row[column.name] = value === undefined || value === '' ? null : roundSessionValue(value);
+    }
+    
+    if (session.includeKeypoints) {
+        row.keypoints = (subject.keypoints || []).map(point => [
+            roundSessionValue(point.x),
+            roundSessionValue(point.y),
+            roundSessionValue(point.z || 0)
+        ]);
+    }
+    return row;
+}
+
+// Collect events between frames so none are missed
+onGesture('*', event => {
+    if (isSessionRecording()) sessionRecording.pendingGestures.push(event);
+});
+onEyeEvent('*', event => {
+    if (isSessionRecording()) sessionRecording.pendingEyeEvents.push(event);
+});
+
+// SESSION FILES
+
+// Add a line to one of the part's files - CSV files start with their header.
+// Lines are moved into a Blob every SESSION_FLUSH_LINES lines, which the
+// browser can keep out of the page's memory
+function addSessionLine(session, key, line) {
+    let file = session.files[key];
+    if (!file) {
+        file = session.files[key] = { lines: [], blobs: [], size: 0 };
+        if (session.format === 'csv') addSessionFileText(file, getSessionCsvHeader(session, key));
+    }
+    addSessionFileText(file, line);
+    
+    if (file.lines.length >= SESSION_FLUSH_LINES) {
+        file.blobs.push(new Blob(file.lines));
+        file.lines = [];
+    }
+}
+
+function addSessionFileText(file, line) {
+    file.lines.push(line + '\n');
+    file.size += line.length + 1;
+}
+
+// Roughly how big the part's files are so far (bytes)
+function getSessionPartSize(session) {
+    return Object.values(session.files).reduce((total, file) => total + file.size, 0);
+}
+
+// Download the part's files and start the next part empty - returns what was saved
+function saveSessionPart(session) {
+    let partName = session.part > 1 || getSessionPartSize(session) >= SESSION_PART_SIZE ? `-part${session.part}` : '';
+    let saved = [];
+    for (let key of Object.keys(session.files)) {
+        let file = session.files[key];
+        let blob = new Blob(file.blobs.concat(file.lines), {
+            type: session.format === 'csv' ? 'text/csv' : 'application/x-ndjson'
+        });
+        let extension = session.format === 'csv' ? 'csv' : 'jsonl';
+        downloadBlob(blob, `${session.baseName}-${key}${partName}.${extension}`);
+        saved.push(key);
+    }
+    session.files = {};
+    return saved;
+}
+
+// CSV
+
+function getSessionCsvHeader(session, key) {
+    let table = SESSION_CSV_TABLES[key];
+    let header = ['time', 'timestamp', 'frame', ...table.idColumns, ...session.columns[key].map(column => column.name)];
+    if (session.includeKeypoints) {
+        for (let i = 0; i < table.keypointCount; i++) {
+            header.push(`kp${i}_x`, `kp${i}_y`, `kp${i}_z`);
+        }
+    }
+    return header.join(',');
+}
+
+// One face or hand in one frame
+function getSessionCsvLine(session, key, frame, row) {
+    let table = SESSION_CSV_TABLES[key];
+    let values = [frame.time, frame.timestamp, frame.frame];
+    values.push(...table.idColumns.map(name => row[name]));
+    values.push(...session.columns[key].map(column => row[column.name]));
+    if (session.includeKeypoints) {
+        for (let i = 0; i < table.keypointCount; i++) {
+            values.push(...(row.keypoints[i] || [null, null, null]));
+        }
+    }
+    return values.map(toCsvValue).join(',');
+}
+
+// Empty for missing values, quoted if it has commas, quotes or line breaks
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CONTROLS
+
+function setupSessionControls() {
+    let sessionButton = document.getElementById('sessionToggle');
+    if (sessionButton) {
+        sessionButton.addEventListener('click', () => {
+            if (isSessionRecording()) {
+                stopSessionRecording();
+            } else {
+                startSessionRecording();
+            }
+        });
+    }
+    
+    let formatSelect = document.getElementById('sessionFormat');
+    if (formatSelect) {
+        formatSelect.value = sessionFormat;
+        formatSelect.addEventListener('change', function() {
+            sessionFormat = this.value;
+        });
+    }
+    
+    let keypointsToggle = document.getElementById('sessionKeypoints');
+    if (keypointsToggle) {
+        keypointsToggle.checked = sessionIncludeKeypoints;
+        keypointsToggle.addEventListener('change', function() {
+            sessionIncludeKeypoints = this.checked;
+        });
+    }
+    
+    updateSessionButtons();
+}
+
+function updateSessionButtons() {
+    let sessionButton = document.getElementById('sessionToggle');
+    if (sessionButton) sessionButton.textContent = isSessionRecording() ? 'Stop & Save Session' : 'Start Session';
+    
+    // Columns and format are fixed for the whole session
+    let keypointsToggle = document.getElementById('sessionKeypoints');
+    if (keypointsToggle) keypointsToggle.disabled = isSessionRecording();
+    let formatSelect = document.getElementById('sessionFormat');
+    if (formatSelect) formatSelect.disabled = isSessionRecording();
+}
+
+function updateSessionStatus(message) {
+    let status = document.getElementById('sessionStatus');
+    if (status) status.textContent = message;
+}
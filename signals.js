@@ -0,0 +1,222 @@
+// SIGNALS
+//
+// Debounced boolean signals for the trigger effects. Each signal is a small
+// state machine fed with a raw measurement every frame:
+// - separate on and off thresholds (hysteresis) so values hovering around a
+//   single threshold don't flicker
+// - a minimum hold time before a change of state is accepted
+// - enter/exit events with timestamps that effects can subscribe to
+//
+// Signals exist once per tracked face or hand (keyed by face.id / hand.id),
+// so two people in frame each get their own mouth, eye and hand signals.
+
+// How far either side of the calibrated threshold the on/off thresholds sit
+const SIGNAL_HYSTERESIS = 0.15;
+// How long (ms) a new state has to hold before the signal switches
+const SIGNAL_MIN_HOLD_TIME = 80;
+
+class BooleanSignal {
+    // options.onThreshold / options.offThreshold can be numbers or functions
+    // that return a number (so they follow the active calibration profile)
+    // options.direction is 'above' (on when value rises past onThreshold)
+    // or 'below' (on when value drops past onThreshold)
+    // id is the id of the face or hand the signal belongs to
+    constructor(name, options, id) {
+        this.name = name;
+        this.id = id;
+        this.onThreshold = options.onThreshold;
+        this.offThreshold = options.offThreshold;
+        this.direction = options.direction || 'above';
+        this.minHoldTime = options.minHoldTime !== undefined ? options.minHoldTime : SIGNAL_MIN_HOLD_TIME;
+        
+        this.active = false;
+        this.value = null;
+        this.enteredAt = null;
+        this.exitedAt = null;
+        this.pendingSince = null; // When the raw state started disagreeing with the signal
+    }
+    
+    // Feed a new raw measurement. null means "nothing detected" and reads as off.
+    update(value, now) {
+        this.value = value;
+        let wanted = this.wantsActive(value);
+        
+        if (wanted === this.active) {
+            this.pendingSince = null;
+            return;
+        }
+        
+        if (this.pendingSince === null) {
+            this.pendingSince = now;
+        }
+        
+        // Lost detections switch off straight away, everything else has to hold
+        if (value === null || now - this.pendingSince >= this.minHoldTime) {
+            this.setActive(wanted, now);
+        }
+    }
+    
+    // Raw state with hysteresis: which threshold applies depends on the current state
+    wantsActive(value) {
+        if (value === null || value === undefined) return false;
+        
+        let threshold = this.active ? this.offThreshold : this.onThreshold;
+        if (typeof threshold === 'function') threshold = threshold();
+        
+        return this.direction === 'above' ? value > threshold : value < threshold;
+    }
+    
+    setActive(active, now) {
+        let previousChange = active ? this.exitedAt : this.enteredAt;
+        this.active = active;
+        this.pendingSince = null;
+        
+        if (active) {
+            this.enteredAt = now;
+        } else {
+            this.exitedAt = now;
+        }
+        
+        let event = {
+            signal: this.name,
+            id: this.id,
+            type: active ? 'enter' : 'exit',
+            timestamp: now,
+            // How long the signal spent in the state it just left
+            duration: previousChange !== null ? now - previousChange : null
+        };
+        emitSignalEvent(event);
+    }
+    
+    // How long (ms) the signal has been active, 0 when inactive
+    activeDuration(now) {
+        return this.active ? now - this.enteredAt : 0;
+    }
+    
+    reset() {
+        this.active = false;
+        this.value = null;
+        this.enteredAt = null;
+        this.exitedAt = null;
+        this.pendingSince = null;
+    }
+}
+
+// Signal definitions for each kind of tracked result. Each signal has its
+// thresholds and a measure(result) function returning the raw value (or null)
+let signalDefinitions = { face: {}, hand: {} };
+// Live signals by kind and id: trackedSignals.face[faceId].mouthOpen
+let trackedSignals = { face: {}, hand: {} };
+// Subscribers by signal name and event type - shared by every face and hand
+let signalListeners = {};
+
+// Thresholds either side of a calibrated value
+function hysteresisAbove(getThreshold) {
+    return {
+        direction: 'above',
+        onThreshold: () => getThreshold() * (1 + SIGNAL_HYSTERESIS),
+        offThreshold: () => getThreshold() * (1 - SIGNAL_HYSTERESIS)
+    };
+}
+
+function hysteresisBelow(getThreshold) {
+    return {
+        direction: 'below',
+        onThreshold: () => getThreshold() * (1 - SIGNAL_HYSTERESIS),
+        offThreshold: () => getThreshold() * (1 + SIGNAL_HYSTERESIS)
+    };
+}
+
+// Add a signal that every face ('face') or hand ('hand') gets its own copy of
+function registerSignal(kind, name, options, measure) {
+    signalDefinitions[kind][name] = { options: options, measure: measure };
+}
+
+registerSignal('face', 'mouthOpen', hysteresisAbove(() => activeCalibration.mouthOpenRatio),
+    face => getMouthAspectRatio(face));
+registerSignal('face', 'leftEyeOpen', hysteresisAbove(() => activeCalibration.eyeOpenRatio),
+    face => getEyeAspectRatio(face, FACE_STATE_LANDMARKS.leftEye));
+registerSignal('face', 'rightEyeOpen', hysteresisAbove(() => activeCalibration.eyeOpenRatio),
+    face => getEyeAspectRatio(face, FACE_STATE_LANDMARKS.rightEye));
+registerSignal('hand', 'handOpen', hysteresisAbove(() => activeCalibration.fistRatio),
+    hand => getAverageFingertipRatio(hand));
+registerSignal('hand', 'handFist', hysteresisBelow(() => activeCalibration.fistRatio),
+    hand => getAverageFingertipRatio(hand));
+
+// Subscribe to a signal's 'enter' or 'exit' transitions
+// The callback fires for every face or hand - check event.id
+function onSignal(name, type, callback) {
+    if (!signalListeners[name]) signalListeners[name] = { enter: [], exit: [] };
+    signalListeners[name][type].push(callback);
+}
+
+function emitSignalEvent(event) {
+    let listeners = signalListeners[event.signal];
+    if (!listeners) return;
+    for (let callback of listeners[event.type]) {
+        callback(event);
+    }
+}
+
+// Which kind of result ('face' or 'hand') a signal belongs to
+function getSignalKind(name) {
+    for (let kind of Object.keys(signalDefinitions)) {
+        if (signalDefinitions[kind][name]) return kind;
+    }
+    return null;
+}
+
+// Look up a signal - defaults to the first face or hand if no id is given
+function getSignal(name, id) {
+    let kind = getSignalKind(name);
+    if (!kind) return null;
+    
+    if (id === undefined) {
+        let results = kind === 'face' ? faces : hands;
+        if (results.length === 0) return null;
+        id = results[0].id;
+    }
+    
+    let signalsForId = trackedSignals[kind][id];
+    return signalsForId ? signalsForId[name] : null;
+}
+
+// Is the named signal currently on?
+function isSignalActive(name, id) {
+    let signal = getSignal(name, id);
+    return signal ? signal.active : false;
+}
+
+// Called once per frame from draw() with the latest landmarks
+function updateSignals() {
+    let now = millis();
+    updateTrackedSignals('face', faces, now);
+    updateTrackedSignals('hand', hands, now);
+}
+
+function updateTrackedSignals(kind, results, now) {
+    let definitions = signalDefinitions[kind];
+    let store = trackedSignals[kind];
+    let seenIds = new Set();
+    
+    for (let result of results) {
+        seenIds.add(String(result.id));
+        if (!store[result.id]) store[result.id] = {};
+        
+        for (let name of Object.keys(definitions)) {
+            if (!store[result.id][name]) {
+                store[result.id][name] = new BooleanSignal(name, definitions[name].options, result.id);
+            }
+            store[result.id][name].update(definitions[name].measure(result), now);
+        }
+    }
+    
+    // Results that left the frame: switch their signals off (so exit events fire) and forget them
+    for (let id of Object.keys(store)) {
+        if (seenIds.has(id)) continue;
+        for (let name of Object.keys(store[id])) {
+            store[id][name].update(null, now);
+        }
+        delete store[id];
+    }
+}
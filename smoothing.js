@@ -0,0 +1,204 @@
+// LANDMARK SMOOTHING
+//
+// Sits between the ML5 detection callbacks and the drawing code.
+// Detections arrive less often than frames are drawn (see detectionRate in
+// models.js), so without this the overlays jitter between results and then
+// jump when the next one lands.
+// For every keypoint we:
+// 1. interpolate between the last two detection results, so positions
+//    move every frame instead of once per detection
+// 2. run a One Euro filter on the interpolated position, which smooths
+//    heavily when a point is still and lightly when it moves fast
+//    (see https://gery.casiez.net/1euro/)
+
+// Smoothing settings - changed from the control panel
+let smoothingEnabled = true;
+let smoothingStrength = 0.5; // 0 = light smoothing, 1 = heavy smoothing
+
+// One Euro filter parameters at each end of the strength slider
+const SMOOTHING_MIN_CUTOFF_LIGHT = 4.0; // Hz
+const SMOOTHING_MIN_CUTOFF_HEAVY = 0.3; // Hz
+const SMOOTHING_BETA = 0.02;            // How quickly the filter loosens up as points speed up
+const SMOOTHING_DERIVATE_CUTOFF = 1.0;  // Hz
+
+// Detection interval limits used for interpolation (ms)
+const MIN_DETECTION_INTERVAL = 30;
+const MAX_DETECTION_INTERVAL = 300;
+
+class OneEuroFilter {
+    constructor(minCutoff, beta, derivateCutoff) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivateCutoff = derivateCutoff;
+        this.previousValue = null;
+        this.previousDerivate = 0;
+        this.previousTime = null;
+    }
+    
+    // Smoothing factor for a low-pass filter at the given cutoff frequency
+    alpha(cutoff, elapsedSeconds) {
+        let tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / elapsedSeconds);
+    }
+    
+    filter(value, time) {
+        if (this.previousValue === null) {
+            this.previousValue = value;
+            this.previousTime = time;
+            return value;
+        }
+        
+        let elapsedSeconds = (time - this.previousTime) / 1000;
+        if (elapsedSeconds <= 0) return this.previousValue;
+        
+        // Smoothed speed of the value
+        let derivate = (value - this.previousValue) / elapsedSeconds;
+        let derivateAlpha = this.alpha(this.derivateCutoff, elapsedSeconds);
+        let smoothedDerivate = derivateAlpha * derivate + (1 - derivateAlpha) * this.previousDerivate;
+        
+        // Faster movement = higher cutoff = less lag
+        let cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivate);
+        let valueAlpha = this.alpha(cutoff, elapsedSeconds);
+        let smoothedValue = valueAlpha * value + (1 - valueAlpha) * this.previousValue;
+        
+        this.previousValue = smoothedValue;
+        this.previousDerivate = smoothedDerivate;
+        this.previousTime = time;
+        return smoothedValue;
+    }
+}
+
+class LandmarkSmoother {
+    constructor() {
+        this.previous = null; // { time, results }
+        this.latest = null;   // { time, results }
+        this.filters = {};    // filters[resultKey][keypointIndex] = { x, y, z }
+    }
+    
+    // Called from the detection callbacks with each new set of results
+    addDetection(results, time) {
+        this.previous = this.latest;
+        this.latest = { time: time, results: results };
+    }
+    
+    // Called every frame - returns results with smoothed keypoints
+    sample(time) {
+        if (!this.latest) return [];
+        
+        if (!smoothingEnabled) {
+            this.filters = {};
+            return this.latest.results;
+        }
+        
+        let amount = this.interpolationAmount(time);
+        let smoothed = [];
+        let activeKeys = new Set();
+        
+        // Match results to the previous detection by tracking id (or by order if untracked)
+        let previousByKey = {};
+        if (this.previous) {
+            this.previous.results.forEach((result, i) => {
+                previousByKey[resultKey(result, i)] = result;
+            });
+        }
+        
+        for (let i = 0; i < this.latest.results.length; i++) {
+            let result = this.latest.results[i];
+            if (!result.keypoints) {
+                smoothed.push(result);
+                continue;
+            }
+            
+            let key = resultKey(result, i);
+            activeKeys.add(key);
+            
+            let previousResult = previousByKey[key] || null;
+            let previousKeypoints = previousResult && previousResult.keypoints &&
+                previousResult.keypoints.length === result.keypoints.length ? previousResult.keypoints : null;
+            
+            let keypoints = [];
+            for (let k = 0; k < result.keypoints.length; k++) {
+                let target = result.keypoints[k];
+                let start = previousKeypoints ? previousKeypoints[k] : target;
+                
+                // Copy the keypoint so names and other properties survive
+                let point = Object.assign({}, target);
+                point.x = this.filterValue(key, k, 'x', lerp(start.x, target.x, amount), time);
+                point.y = this.filterValue(key, k, 'y', lerp(start.y, target.y, amount), time);
+                if (target.z !== undefined && start.z !== undefined) {
+                    point.z = this.filterValue(key, k, 'z', lerp(start.z, target.z, amount), time);
+                }
+                keypoints.push(point);
+            }
+            
+            smoothed.push(Object.assign({}, result, { keypoints: keypoints }));
+        }
+        
+        // Forget filters for results that are no longer detected
+        for (let key of Object.keys(this.filters)) {
+            if (!activeKeys.has(key)) delete this.filters[key];
+        }
+        return smoothed;
+    }
+    
+    // How far (0-1) we are between the previous and latest detection
+    interpolationAmount(time) {
+        if (!this.previous) return 1;
+        let interval = constrain(this.latest.time - this.previous.time, MIN_DETECTION_INTERVAL, MAX_DETECTION_INTERVAL);
+        return constrain((time - this.latest.time) / interval, 0, 1);
+    }
+    
+    filterValue(key, keypointIndex, axis, value, time) {
+        if (!this.filters[key]) this.filters[key] = [];
+        let pointFilters = this.filters[key][keypointIndex];
+        if (!pointFilters) {
+            pointFilters = {};
+            this.filters[key][keypointIndex] = pointFilters;
+        }
+        if (!pointFilters[axis]) {
+            pointFilters[axis] = new OneEuroFilter(getSmoothingMinCutoff(), SMOOTHING_BETA, SMOOTHING_DERIVATE_CUTOFF);
+        }
+        
+        // Keep existing filters in step with the strength slider
+        pointFilters[axis].minCutoff = getSmoothingMinCutoff();
+        return pointFilters[axis].filter(value, time);
+    }
+    
+    reset() {
+        this.previous = null;
+        this.latest = null;
+        this.filters = {};
+    }
+}
+
+// Tracked results are matched by id, untracked ones by position in the array
+function resultKey(result, index) {
+    return result.id !== undefined ? `id${result.id}` : `index${index}`;
+}
+
+function getSmoothingMinCutoff() {
+    return lerp(SMOOTHING_MIN_CUTOFF_LIGHT, SMOOTHING_MIN_CUTOFF_HEAVY, smoothingStrength);
+}
+
+// One smoother per model
+let faceSmoother = new LandmarkSmoother();
+let handSmoother = new LandmarkSmoother();
+
+// Called from the detection callbacks
+function receiveFaceResults(results) {
+    // Give each face a stable id before smoothing so filters follow the right person
+    faceSmoother.addDetection(faceTracker.update(results, millis()), millis());
+}
+
+function receiveHandResults(results) {
+    // Give each hand a stable id and left/right label before smoothing
+    let trackedHands = labelHandedness(handTracker.update(results, millis()));
+    handSmoother.addDetection(trackedHands, millis());
+}
+
+// Called at the start of every frame to refresh the faces and hands arrays
+function updateSmoothedLandmarks() {
+    let now = millis();
+    faces = faceSmoother.sample(now);
+    hands = handSmoother.sample(now);
+}
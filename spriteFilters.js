@@ -0,0 +1,195 @@
+// SPRITE FILTERS
+//
+// Filters made from PNG/SVG images instead of code. Each filter is a folder in
+// assets/filters/ with its images and a manifest.json that pins points on
+// each image to face mesh landmarks:
+//
+// {
+//     "label": "Dog",
+//     "trigger": [],                        // Default rule conditions, [] = always on
+//     "sprites": [
+//         {
+//             "image": "ears.svg",
+//             "anchors": [                  // Image pixel -> landmark (or list of landmarks to average)
+//                 { "point": [70, 40], "landmark": 54 },
+//                 { "point": [230, 40], "landmark": 284 }
+//             ]
+//         },
+//         {
+//             "image": "tongue.svg",
+//             "anchors": [{ "point": [30, 5], "landmark": 14 }],
+//             "width": 45,                  // Needed with one anchor - width on a 200px wide face
+//             "when": "mouthOpen"           // Optional face condition from rules.js
+//         }
+//     ]
+// }
+//
+// With two anchors the image is scaled and rotated so both points land on
+// their landmarks (matched left to right, so mirrored video works too). With
+// one anchor it's placed on the landmark at the given width. Everything is
+// drawn in the face frame (see facePose.js) so sprites follow the head.
+//
+// Folders are listed in assets/filters/filters.json so the browser knows
+// which ones to load.
+
+const SPRITE_FILTERS_PATH = 'assets/filters';
+
+// Load every sprite filter and register it - calls done(names) with the names
+// of the filters registered when finished, whether or not everything loaded
+function loadSpriteFilters(done) {
+    loadJSON(`${SPRITE_FILTERS_PATH}/filters.json`, folders => {
+        // loadJSON can turn a top level list into an object with numbered keys
+        let folderNames = Object.values(folders);
+        let loaded = [];
+        let remaining = folderNames.length;
+        if (remaining === 0) done([]);
+        
+        // Register in the order they're listed, however long each one takes to load
+        function folderFinished() {
+            remaining--;
+            if (remaining > 0) return;
+            let names = loaded.filter(filter => filter).map(filter => registerSpriteFilter(filter.folder, filter.manifest, filter.sprites));
+            done(names);
+        }
+        
+        folderNames.forEach((folder, i) => {
+            loadSpriteFilter(folder, filter => {
+                loaded[i] = filter;
+                folderFinished();
+            });
+        });
+    }, error => {
+        console.warn("No sprite filters loaded:", error);
+        done([]);
+    });
+}
+
+// Load one folder's manifest and images - calls done({ folder, manifest, sprites })
+// or done(null) if it couldn't be loaded
+function loadSpriteFilter(folder, done) {
+    let path = `${SPRITE_FILTERS_PATH}/${folder}`;
+    
+    loadJSON(`${path}/manifest.json`, manifest => {
+        let sprites = (manifest.sprites || []).filter(sprite => sprite.image && sprite.anchors && sprite.anchors.length > 0);
+        let remaining = sprites.length;
+        
+        function imageFinished() {
+            remaining--;
+            if (remaining === 0) {
+                done({ folder: folder, manifest: manifest, sprites: sprites });
+            }
+        }
+        
+        if (remaining === 0) {
+            console.warn(`Sprite filter "${folder}" has no usable sprites`);
+            done(null);
+            return;
+        }
+        
+        for (let sprite of sprites) {
+            sprite.img = loadImage(`${path}/${sprite.image}`, imageFinished, () => {
+                console.warn(`Couldn't load ${path}/${sprite.image}`);
+                sprite.img = null;
+                imageFinished();
+            });
+        }
+    }, error => {
+        console.warn(`Couldn't load the manifest for sprite filter "${folder}":`, error);
+        done(null);
+    });
+}
+
+// Register the filter and return its name
+function registerSpriteFilter(folder, manifest, sprites) {
+    let name = manifest.name || folder;
+    registerFilter({
+        name: name,
+        label: manifest.label || folder,
+        scope: 'face',
+        requires: ['face'],
+        trigger: getSpriteTrigger(folder, manifest.trigger),
+        params: {
+            opacity: { label: 'Opacity', type: 'range', default: 255, min: 0, max: 255 }
+        },
+        
+        draw(face, slot, activeTime, params) {
+            let pose = getFacePose(face);
+            if (!pose) return;
+            
+            for (let sprite of sprites) {
+                if (!sprite.img) continue;
+                
+                // Sprites that only show while a face condition holds, e.g. a tongue when the mouth opens
+                if (sprite.when) {
+                    let condition = RULE_CONDITIONS[sprite.when];
+                    if (!condition || condition.kind !== 'face' || !condition.test(face)) continue;
+                }
+                
+                drawSprite(face, pose, sprite, params);
+            }
+        }
+    });
+    return name;
+}
+
+// The manifest's trigger without the conditions rules.js doesn't know - they'd
+// make the default rule unusable
+function getSpriteTrigger(folder, trigger) {
+    if (!Array.isArray(trigger)) return [];
+    return trigger.filter(condition => {
+        if (condition && RULE_CONDITIONS[condition.type]) return true;
+        console.warn(`Sprite filter "${folder}" has an unknown trigger condition:`, condition);
+        return false;
+    });
+}
+
+// Where a landmark (or the average of a list of landmarks) sits in the face frame
+function getAnchorTarget(face, pose, landmark) {
+    let indices = Array.isArray(landmark) ? landmark : [landmark];
+    let points = indices.map(index => face.keypoints[index]).filter(point => point);
+    if (points.length === 0) return null;
+    
+    let average = {
+        x: points.reduce((total, point) => total + point.x, 0) / points.length,
+        y: points.reduce((total, point) => total + point.y, 0) / points.length
+    };
+    return toFaceLocal(pose, average);
+}
+
+function drawSprite(face, pose, sprite, params) {
+    let anchors = sprite.anchors.map(anchor => ({
+        point: { x: anchor.point[0], y: anchor.point[1] },
+        target: getAnchorTarget(face, pose, anchor.landmark)
+    }));
+    if (anchors.some(anchor => !anchor.target)) return;
+    
+    let origin = anchors[0];
+    let angle = 0;
+    let spriteScale;
+    
+    if (anchors.length >= 2) {
+        // Match the image points to the landmarks left to right
+        let [first, second] = anchors;
+        let points = [first.point, second.point].sort((a, b) => a.x - b.x);
+        let targets = [first.target, second.target].sort((a, b) => a.x - b.x);
+        origin = { point: points[0], target: targets[0] };
+        
+        let pointDistance = dist(points[0].x, points[0].y, points[1].x, points[1].y);
+        if (pointDistance === 0) return;
+        spriteScale = dist(targets[0].x, targets[0].y, targets[1].x, targets[1].y) / pointDistance;
+        angle = Math.atan2(targets[1].y - targets[0].y, targets[1].x - targets[0].x) -
+                Math.atan2(points[1].y - points[0].y, points[1].x - points[0].x);
+    } else {
+        spriteScale = (sprite.width || sprite.img.width) / sprite.img.width;
+    }
+    
+    beginFaceFrame(face);
+    translate(origin.target.x, origin.target.y);
+    rotate(angle);
+    scale(spriteScale);
+    tint(255, params.opacity);
+    imageMode(CORNER);
+    image(sprite.img, -origin.point.x, -origin.point.y);
+    noTint();
+    endFaceFrame();
+}
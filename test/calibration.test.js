@@ -0,0 +1,129 @@
+// CALIBRATION TESTS
+//
+// Checks that a profile calibrated from the landmark fixtures in test/fixtures/
+// gives the same answers everywhere it's used. Run from the top folder with:
+//
+//     node --test test/
+//
+// calibration.js and signals.js are browser scripts, so they're run together
+// with detection.js in a sandbox, like they share the page in the browser.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SKETCH_FILES = ['detection.js', 'signals.js', 'calibration.js'];
+
+// A fresh copy of the sketch files, with the clock, faces and hands under the test's control
+function loadSketch() {
+    let sandbox = { now: 0, faces: [], hands: [] };
+    sandbox.millis = () => sandbox.now;
+    vm.createContext(sandbox);
+    for (let file of SKETCH_FILES) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), sandbox, { filename: file });
+    }
+    return sandbox;
+}
+
+// The faces and hands in a fixture, with keypoints as { x, y, z } like ml5 gives them
+function loadFixture(name) {
+    let frame = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+    let toResult = row => Object.assign({}, row, {
+        keypoints: row.keypoints.map(([x, y, z]) => ({ x: x, y: y, z: z }))
+    });
+    return { faces: frame.faces.map(toResult), hands: frame.hands.map(toResult) };
+}
+
+// Run each calibration step on its fixture and make the result the active profile
+function calibrate(sketch) {
+    let steps = {
+        eyesOpen: loadFixture('face-eyes-open.json'),
+        eyesClosed: loadFixture('face-eyes-closed.json'),
+        mouthOpen: loadFixture('face-mouth-open.json'),
+        fist: loadFixture('hand-fist.json'),
+        handOpen: loadFixture('hand-open.json')
+    };
+    let measurements = {};
+    for (let step of vm.runInContext('CALIBRATION_STEPS', sketch)) {
+        sketch.faces = steps[step.id].faces;
+        sketch.hands = steps[step.id].hands;
+        measurements[step.id] = sketch.summarizeCalibrationSamples([sketch.measureCalibrationSample(step)]);
+    }
+    
+    let profile = sketch.deriveCalibrationProfile(measurements);
+    assert.ok(profile, 'the fixtures calibrate');
+    sketch.calibratedProfile = profile;
+    vm.runInContext('activeCalibration = Object.assign({}, DEFAULT_CALIBRATION, calibratedProfile)', sketch);
+    return profile;
+}
+
+// The fist fixture with some fingers (0 = thumb ... 4 = pinky) taken from the open hand
+function partlyOpenHand(fingers) {
+    let fist = loadFixture('hand-fist.json').hands[0];
+    let open = loadFixture('hand-open.json').hands[0];
+    let keypoints = fist.keypoints.map((point, index) => {
+        let finger = Math.floor((index - 1) / 4);
+        return index > 0 && fingers.includes(finger) ? open.keypoints[index] : point;
+    });
+    return Object.assign({}, fist, { keypoints: keypoints });
+}
+
+// Show the sketch the same hand for a while so its signals settle
+function holdHand(sketch, hand, time = 500) {
+    sketch.hands = [hand];
+    for (let elapsed = 0; elapsed < time; elapsed += 50) {
+        sketch.now += 50;
+        vm.runInContext('updateSignals()', sketch);
+    }
+}
+
+test('a calibrated profile: the fist state and the hand signals use the calibrated measure', () => {
+    let hands = [
+        loadFixture('hand-fist.json').hands[0],
+        loadFixture('hand-open.json').hands[0],
+        partlyOpenHand([1]),
+        partlyOpenHand([0, 1]),
+        partlyOpenHand([1, 2]),
+        partlyOpenHand([0, 1, 4]),
+        partlyOpenHand([1, 2, 3])
+    ];
+    
+    hands.forEach((hand, i) => {
+        let sketch = loadSketch();
+        let profile = calibrate(sketch);
+        holdHand(sketch, hand);
+        
+        let ratio = sketch.getAverageFingertipRatio(hand);
+        let fist = ratio < profile.fistRatio;
+        let label = `hand ${i}, ratio ${ratio}`;
+        assert.strictEqual(sketch.getSignal('handFist', hand.id).value, ratio, label);
+        assert.strictEqual(sketch.isHandFist(hand), fist, label);
+        assert.strictEqual(sketch.getHandsOpenStatus([hand])[0], !fist, label);
+        
+        // Between their on and off thresholds the signals keep their last state
+        if (Math.abs(ratio / profile.fistRatio - 1) > vm.runInContext('SIGNAL_HYSTERESIS', sketch)) {
+            assert.strictEqual(sketch.isSignalActive('handFist', hand.id), fist, label);
+            assert.strictEqual(sketch.isSignalActive('handOpen', hand.id), !fist, label);
+        }
+    });
+});
+
+test('a calibrated profile tells the fixture fist and open hand apart', () => {
+    let sketch = loadSketch();
+    let profile = calibrate(sketch);
+    let fist = loadFixture('hand-fist.json').hands[0];
+    let open = loadFixture('hand-open.json').hands[0];
+    
+    assert.ok(sketch.getAverageFingertipRatio(fist) < profile.fistRatio);
+    assert.ok(sketch.getAverageFingertipRatio(open) > profile.fistRatio);
+    assert.strictEqual(sketch.isHandFist(fist), true);
+    assert.strictEqual(sketch.isHandFist(open), false);
+    
+    holdHand(sketch, fist);
+    assert.strictEqual(sketch.isSignalActive('handFist', fist.id), true);
+    holdHand(sketch, open);
+    assert.strictEqual(sketch.isSignalActive('handOpen', open.id), true);
+    assert.strictEqual(sketch.isSignalActive('handFist', open.id), false);
+});
@@ -0,0 +1,150 @@
+// DETECTION TESTS
+//
+// Checks the detection helpers in detection.js against the landmark fixtures
+// in test/fixtures/ - no browser or camera needed. Run from the top folder with:
+//
+//     node --test test/
+//
+// Each fixture is one frame in the session recorder's JSON Lines format
+// ({ width, height, faces, hands } with keypoints as [x, y, z]), so a line
+// copied out of a recorded session can be added as a new fixture. The face
+// fixtures only place the landmarks the helpers measure - the rest sit on
+// the nose tip.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const detection = require('../detection.js');
+
+// The faces and hands in a fixture, with keypoints as { x, y, z } like ml5 gives them
+function loadFixture(name) {
+    let frame = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+    let toResult = row => Object.assign({}, row, {
+        keypoints: row.keypoints.map(([x, y, z]) => ({ x: x, y: y, z: z }))
+    });
+    return { faces: frame.faces.map(toResult), hands: frame.hands.map(toResult) };
+}
+
+function loadFace(name) {
+    return loadFixture(name).faces[0];
+}
+
+// The same face or hand moved and scaled, as if further from the camera
+function scaleResult(result, factor) {
+    return Object.assign({}, result, {
+        keypoints: result.keypoints.map(point => ({ x: 100 + point.x * factor, y: 50 + point.y * factor, z: point.z * factor }))
+    });
+}
+
+// Run a test with some thresholds changed, putting the defaults back afterwards
+function withCalibration(changes, callback) {
+    Object.assign(detection.activeCalibration, changes);
+    try {
+        callback();
+    } finally {
+        Object.assign(detection.activeCalibration, detection.DEFAULT_CALIBRATION);
+    }
+}
+
+test('getLandmarkDistance measures in 2D and ignores missing landmarks', () => {
+    assert.strictEqual(detection.getLandmarkDistance({ x: 0, y: 0 }, { x: 3, y: 4 }), 5);
+    assert.strictEqual(detection.getLandmarkDistance({ x: 1, y: 1, z: 50 }, { x: 1, y: 1, z: -50 }), 0);
+    assert.strictEqual(detection.getLandmarkDistance(null, { x: 3, y: 4 }), 0);
+});
+
+test('eyes open fixture: both eyes open, mouth closed', () => {
+    let face = loadFace('face-eyes-open.json');
+    assert.strictEqual(detection.isLeftEyeOpen(face), true);
+    assert.strictEqual(detection.isRightEyeOpen(face), true);
+    assert.strictEqual(detection.getLeftEyeState(face).openness, 1);
+    assert.strictEqual(detection.isMouthOpen(face), false);
+});
+
+test('eyes closed fixture: both eyes closed', () => {
+    let face = loadFace('face-eyes-closed.json');
+    assert.strictEqual(detection.isLeftEyeOpen(face), false);
+    assert.strictEqual(detection.isRightEyeOpen(face), false);
+    assert.strictEqual(detection.getRightEyeState(face).openness, 0);
+});
+
+test('wink fixture: left eye closed, right eye open', () => {
+    let face = loadFace('face-wink-left.json');
+    assert.strictEqual(detection.isLeftEyeOpen(face), false);
+    assert.strictEqual(detection.isRightEyeOpen(face), true);
+});
+
+test('mouth open fixture: mouth open with its openness between 0 and 1', () => {
+    let state = detection.getMouthState(loadFace('face-mouth-open.json'));
+    assert.strictEqual(state.isOpen, true);
+    assert.ok(state.ratio > detection.DEFAULT_CALIBRATION.mouthOpenRatio);
+    assert.ok(state.openness > 0 && state.openness < 1, `openness ${state.openness}`);
+});
+
+test('face states are the same at any distance from the camera', () => {
+    for (let name of ['face-eyes-open.json', 'face-wink-left.json', 'face-mouth-open.json']) {
+        let face = loadFace(name);
+        let far = scaleResult(face, 0.5);
+        assert.strictEqual(detection.isLeftEyeOpen(far), detection.isLeftEyeOpen(face), name);
+        assert.strictEqual(detection.isRightEyeOpen(far), detection.isRightEyeOpen(face), name);
+        assert.strictEqual(detection.isMouthOpen(far), detection.isMouthOpen(face), name);
+        assert.ok(Math.abs(detection.getMouthState(far).ratio - detection.getMouthState(face).ratio) < 1e-9, name);
+    }
+});
+
+test('face states follow the active calibration thresholds', () => {
+    let face = loadFace('face-mouth-open.json');
+    let ratio = detection.getMouthAspectRatio(face);
+    withCalibration({ mouthOpenRatio: ratio + 0.01 }, () => {
+        assert.strictEqual(detection.isMouthOpen(face), false);
+    });
+    assert.strictEqual(detection.isMouthOpen(face), true);
+});
+
+test('faces without the refined landmarks read as eyes open and mouth closed', () => {
+    let face = loadFace('face-eyes-closed.json');
+    let partial = Object.assign({}, face, { keypoints: face.keypoints.slice(0, 468) });
+    assert.strictEqual(detection.getEyeAspectRatio(partial, detection.FACE_STATE_LANDMARKS.leftEye), null);
+    assert.strictEqual(detection.isLeftEyeOpen(partial), true);
+    assert.strictEqual(detection.isMouthOpen(partial), false);
+});
+
+test('helpers with no face or hands given use none outside the browser', () => {
+    assert.strictEqual(detection.isMouthOpen(), false);
+    assert.strictEqual(detection.getNoseCenter(), null);
+    assert.deepStrictEqual(detection.getAllFingertipPositions(), []);
+    assert.deepStrictEqual(detection.getHandsOpenStatus(), []);
+});
+
+test('fist fixture: hand is a fist', () => {
+    let hands = loadFixture('hand-fist.json').hands;
+    assert.strictEqual(detection.isHandFist(hands[0]), true);
+    assert.deepStrictEqual(detection.getHandsOpenStatus(hands), [false]);
+    assert.ok(detection.getAverageFingertipRatio(hands[0]) < detection.DEFAULT_CALIBRATION.fistRatio);
+});
+
+test('open hand fixture: hand is open at any distance', () => {
+    let hand = loadFixture('hand-open.json').hands[0];
+    assert.strictEqual(detection.isHandFist(hand), false);
+    assert.strictEqual(detection.isHandFist(scaleResult(hand, 0.4)), false);
+    assert.deepStrictEqual(detection.getHandsOpenStatus([hand]), [true]);
+});
+
+test('two hands fixture: wrists, fingertips and open states in hand order', () => {
+    let hands = loadFixture('hands-two.json').hands;
+    assert.deepStrictEqual(detection.getHandsOpenStatus(hands), [true, false]);
+    assert.deepStrictEqual(detection.getWristPositions(hands), [hands[0].keypoints[0], hands[1].keypoints[0]]);
+    
+    let fingertips = detection.getAllFingertipPositions(hands);
+    assert.strictEqual(fingertips.length, 2);
+    hands.forEach((hand, i) => {
+        assert.deepStrictEqual(fingertips[i], [4, 8, 12, 16, 20].map(index => hand.keypoints[index]));
+    });
+});
+
+test('hands without keypoints are reported as missing', () => {
+    assert.deepStrictEqual(detection.getWristPositions([{ id: 3 }]), [null]);
+    assert.deepStrictEqual(detection.getAllFingertipPositions([{ id: 3 }]), [null]);
+    assert.strictEqual(detection.isHandFist({ id: 3 }), false);
+});
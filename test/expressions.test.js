@@ -0,0 +1,86 @@
+// EXPRESSION TESTS
+//
+// Checks the expression coefficients in expressions.js against the landmark
+// fixtures in test/fixtures/. Run from the top folder with:
+//
+//     node --test test/
+//
+// expressions.js is a browser script that uses the face frame (facePose.js)
+// and the debounced signals (signals.js), so those files are run together in
+// a sandbox with the few p5 functions they call, like they share the page in
+// the browser.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SKETCH_FILES = ['detection.js', 'signals.js', 'facePose.js', 'expressions.js'];
+
+// A fresh copy of the sketch files, with the clock, faces and hands under the test's control
+function loadSketch() {
+    let sandbox = {
+        now: 0,
+        faces: [],
+        hands: [],
+        constrain: (value, low, high) => Math.min(Math.max(value, low), high),
+        map: (value, start1, stop1, start2, stop2) => start2 + (value - start1) * (stop2 - start2) / (stop1 - start1),
+        degrees: radians => radians * 180 / Math.PI
+    };
+    sandbox.millis = () => sandbox.now;
+    vm.createContext(sandbox);
+    for (let file of SKETCH_FILES) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), sandbox, { filename: file });
+    }
+    return sandbox;
+}
+
+// The first face in a fixture, with keypoints as { x, y, z } like ml5 gives them
+function loadFace(name) {
+    let frame = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+    let face = frame.faces[0];
+    return Object.assign({}, face, { keypoints: face.keypoints.map(([x, y, z]) => ({ x: x, y: y, z: z })) });
+}
+
+// Show the sketch the same face for a while so its signals settle
+function holdFace(sketch, face, time = 500) {
+    sketch.faces = [face];
+    for (let elapsed = 0; elapsed < time; elapsed += 50) {
+        sketch.now += 50;
+        vm.runInContext('updateSignals()', sketch);
+    }
+}
+
+test('smile fixture: corners lifted with the mouth closed reads as a smile', () => {
+    let sketch = loadSketch();
+    let face = loadFace('face-smile.json');
+    holdFace(sketch, face);
+    assert.ok(sketch.getExpression(face, 'smile') > 0.5, `smile ${sketch.getExpression(face, 'smile')}`);
+    assert.strictEqual(sketch.getExpression(face, 'frown'), 0);
+    assert.strictEqual(sketch.isSignalActive('smile', face.id), true);
+});
+
+test('wide open mouth fixture: no smile and no frown', () => {
+    let sketch = loadSketch();
+    let face = loadFace('face-mouth-wide-open.json');
+    holdFace(sketch, face);
+    assert.strictEqual(sketch.isSignalActive('mouthOpen', face.id), true);
+    assert.strictEqual(sketch.getExpression(face, 'smile'), 0);
+    assert.strictEqual(sketch.getExpression(face, 'frown'), 0);
+    assert.strictEqual(sketch.isSignalActive('smile', face.id), false);
+    assert.strictEqual(sketch.isSignalActive('frown', face.id), false);
+});
+
+test('the mouth state is read every time, not cached with the face', () => {
+    let sketch = loadSketch();
+    let face = loadFace('face-mouth-wide-open.json');
+    
+    // Before the mouthOpen signal has switched on, the dropped corners read as a frown
+    let before = sketch.getExpression(face, 'frown');
+    assert.ok(before > 0, `frown ${before}`);
+    
+    // Same face object once the signal is on (like a frame drawn again with smoothing off)
+    holdFace(sketch, face);
+    assert.strictEqual(sketch.getExpression(face, 'frown'), 0);
+});
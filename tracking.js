@@ -0,0 +1,136 @@
+// LANDMARK TRACKING
+//
+// ML5 returns faces (and hands) in whatever order the model found them,
+// so faces[0] can be a different person from one detection to the next.
+// The tracker matches each new result to the closest result from the
+// previous detection and gives it a stable id (face.id / hand.id), so
+// per-face state like fire particles or the mouth text position stays with
+// the right person. Hands are also labelled left or right (hand.side).
+
+// A result matches a track if its center moved less than this many times its size
+const TRACK_MATCH_DISTANCE = 0.75;
+// How long (ms) a track survives without being detected before its id is dropped
+const TRACK_MAX_MISSING_TIME = 500;
+
+class LandmarkTracker {
+    // options.getCenter(result) -> { x, y } and options.getSize(result) -> number
+    constructor(options) {
+        this.getCenter = options.getCenter;
+        this.getSize = options.getSize;
+        this.maxMissingTime = options.maxMissingTime || TRACK_MAX_MISSING_TIME;
+        this.tracks = [];
+        this.nextId = 1;
+    }
+    
+    // Give every result an id and return the results sorted by id
+    update(results, time) {
+        let measured = results.map(result => ({
+            result: result,
+            center: this.getCenter(result),
+            size: this.getSize(result)
+        }));
+        
+        // Every result/track pair that is close enough to be the same person
+        let pairs = [];
+        for (let m of measured) {
+            if (!m.center) continue;
+            for (let track of this.tracks) {
+                let distance = dist(m.center.x, m.center.y, track.center.x, track.center.y);
+                let limit = Math.max(m.size, track.size) * TRACK_MATCH_DISTANCE;
+                if (distance < limit) {
+                    pairs.push({ measured: m, track: track, distance: distance });
+                }
+            }
+        }
+        
+        // Greedily match the closest pairs first
+        pairs.sort((a, b) => a.distance - b.distance);
+        let matchedTracks = new Set();
+        for (let pair of pairs) {
+            if (pair.measured.track || matchedTracks.has(pair.track)) continue;
+            pair.measured.track = pair.track;
+            matchedTracks.add(pair.track);
+        }
+        
+        for (let m of measured) {
+            if (!m.track) {
+                // Someone new - start a new track
+                m.track = { id: this.nextId++, center: m.center || { x: 0, y: 0 }, size: m.size };
+                this.tracks.push(m.track);
+            }
+            if (m.center) {
+                m.track.center = m.center;
+                m.track.size = m.size;
+            }
+            m.track.lastSeen = time;
+            m.result.id = m.track.id;
+        }
+        
+        // Forget tracks that haven't been seen for a while
+        this.tracks = this.tracks.filter(track => time - track.lastSeen <= this.maxMissingTime);
+        
+        return results.slice().sort((a, b) => a.id - b.id);
+    }
+    
+    reset() {
+        this.tracks = [];
+    }
+}
+
+// Faces are tracked by the nose tip and scaled by face width
+let faceTracker = new LandmarkTracker({
+    getCenter: face => face.keypoints && face.keypoints[1] ? face.keypoints[1] : null,
+    getSize: face => getFaceWidth(face)
+});
+
+// Hands are tracked by the wrist and scaled by hand length (roughly twice the palm)
+let handTracker = new LandmarkTracker({
+    getCenter: hand => hand.keypoints && hand.keypoints[0] ? hand.keypoints[0] : null,
+    getSize: hand => getPalmSize(hand) * 2
+});
+
+// HANDEDNESS
+
+// ml5 reports handedness with every detection but it sometimes flips for a
+// frame, so each tracked hand keeps a running vote and is labelled by the majority
+const HANDEDNESS_VOTE_DECAY = 0.8;
+// Set to true if Left and Right come out swapped for your camera setup
+const SWAP_HANDEDNESS = false;
+
+let handednessVotes = {}; // By hand id: above 0 = right, below 0 = left
+
+// Set hand.side ('Left' / 'Right' / null) and hand.label on tracked hands
+function labelHandedness(trackedHands) {
+    for (let hand of trackedHands) {
+        let reported = 0;
+        if (hand.handedness === 'Right') reported = 1;
+        if (hand.handedness === 'Left') reported = -1;
+        if (SWAP_HANDEDNESS) reported = -reported;
+        
+        handednessVotes[hand.id] = (handednessVotes[hand.id] || 0) * HANDEDNESS_VOTE_DECAY + reported;
+    }
+    
+    for (let hand of trackedHands) {
+        let vote = handednessVotes[hand.id];
+        hand.side = vote > 0 ? 'Right' : vote < 0 ? 'Left' : null;
+    }
+    
+    // Two hands can't be on the same side - the less certain one gets the other side
+    if (trackedHands.length === 2 && trackedHands[0].side && trackedHands[0].side === trackedHands[1].side) {
+        let [first, second] = trackedHands;
+        let lessCertain = Math.abs(handednessVotes[first.id]) < Math.abs(handednessVotes[second.id]) ? first : second;
+        lessCertain.side = lessCertain.side === 'Left' ? 'Right' : 'Left';
+    }
+    
+    for (let hand of trackedHands) {
+        hand.label = hand.side ? `${hand.side} Hand` : `Hand ${hand.id}`;
+    }
+    
+    // Forget votes for hands that are no longer tracked
+    let trackedIds = new Set(handTracker.tracks.map(track => String(track.id)));
+    for (let id of Object.keys(handednessVotes)) {
+        if (!trackedIds.has(id)) delete handednessVotes[id];
+    }
+    
+    return trackedHands;
+}